@@ -1,10 +1,23 @@
 const _ = require('lodash');
 const webpack = require('webpack');
 
+// Worker entries cannot load the shared vendors chunk; they are bundled
+// standalone.
 const entries = [
   {inDir: 'og', name: 'main'},
+  {inDir: 'og', name: 'capture_worker', worker: true},
   {inDir: 'og', name: 'analyze_og'},
-  {inDir: 'idl', name: 'analyze_idl.es6'}
+  {inDir: 'og', name: 'analyze_og_worker.es6', worker: true},
+  {inDir: 'og', name: 'interface.es6'},
+  {inDir: 'og', name: 'churn.es6'},
+  {inDir: 'og', name: 'descriptors.es6'},
+  {inDir: 'og', name: 'protos.es6'},
+  {inDir: 'og', name: 'quorum.es6'},
+  {inDir: 'og', name: 'functions.es6'},
+  {inDir: 'og', name: 'aliases.es6'},
+  {inDir: 'og', name: 'stats.es6'},
+  {inDir: 'idl', name: 'analyze_idl.es6'},
+  {inDir: 'search', name: 'search.es6'},
 ];
 
 const isExternal = (module) => {
@@ -44,6 +57,7 @@ module.exports = {
   plugins: [
     new webpack.optimize.CommonsChunkPlugin({
       name: 'vendors',
+      chunks: entries.filter(e => !e.worker).map(e => e.name),
       minChunks: function(module) {
         return isExternal(module);
       }
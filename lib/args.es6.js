@@ -0,0 +1,56 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Minimal command line option parsing for scripts in main/. Options are
+// --name value or --name=value; only names with a default are accepted.
+
+const loggerModule = require('./logger.es6.js');
+
+const logger = loggerModule.getLogger({module: 'args'});
+
+function usage(message, synopsis) {
+  if (message) logger.error(message);
+  logger.help(`Usage: ${synopsis}`);
+  process.exit(message ? 1 : 0);
+}
+
+/**
+ * Parse command line options, exiting with usage information on --help or
+ * invalid options.
+ * @param {Array} argv - Arguments; e.g., process.argv.slice(2)
+ * @param {Object} defaults - Option names mapped to default values
+ * @param {String} synopsis - Usage line; e.g., "node main/serve.js [--port N]"
+ * @return {Object} - Option names mapped to values
+ */
+function parseArgs(argv, defaults, synopsis) {
+  let opts = Object.assign({}, defaults);
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') usage(null, synopsis);
+
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match || !defaults.hasOwnProperty(match[1]))
+      usage(`Unknown argument: ${argv[i]}`, synopsis);
+
+    const value = match[2] !== undefined ? match[2] : argv[++i];
+    if (value === undefined) usage(`Missing value for --${match[1]}`, synopsis);
+    opts[match[1]] = value;
+  }
+  return opts;
+}
+
+module.exports = {usage, parseArgs};
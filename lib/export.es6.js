@@ -0,0 +1,183 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Export analysis results as CSV, Markdown or JSON. Every export records the
+// configuration that produced it. Shared between analysis pages (for export
+// buttons) and the server (for ?format=... on analysis routes).
+
+const formats = {
+  csv: {contentType: 'text/csv', extension: 'csv'},
+  md: {contentType: 'text/markdown', extension: 'md'},
+  json: {contentType: 'application/json', extension: 'json'},
+};
+
+function csvCell(value) {
+  const str = String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function mdCell(value) {
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+}
+
+function configValueToString(value) {
+  if (Array.isArray(value)) return value.join('; ');
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
+
+// CSV: configuration as leading "# name",value rows, then a header row and
+// one row per result. Configuration values (e.g., multi-line custom checkers)
+// are escaped like any other cell, so that every line parses as CSV.
+function toCSV(config, columns, rows) {
+  const lines = Object.keys(config).map(
+    name => [`# ${name}`, configValueToString(config[name])].map(csvCell)
+      .join(',')
+  );
+  lines.push(columns.map(csvCell).join(','));
+  rows.forEach(row => lines.push(row.map(csvCell).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+function mdTable(columns, rows) {
+  return [
+    `| ${columns.map(mdCell).join(' | ')} |`,
+    `| ${columns.map(_ => '---').join(' | ')} |`,
+  ].concat(rows.map(row => `| ${row.map(mdCell).join(' | ')} |`)).join('\n');
+}
+
+// Markdown: configuration as a list, then one table per section.
+function toMarkdown(title, config, columns, sections) {
+  let parts = [`# ${title}`, '## Configuration'];
+  parts.push(Object.keys(config).map(
+    name => `- **${name}**: ${mdCell(configValueToString(config[name]))}`
+      .trim()
+  ).join('\n'));
+  sections.forEach(section => {
+    parts.push(`## ${section.title}`);
+    parts.push(section.rows.length > 0 ?
+               mdTable(columns, section.rows) : '*None*');
+  });
+  return parts.join('\n\n') + '\n';
+}
+
+function result(format, body) {
+  if (!formats[format]) throw new Error(`Unknown export format: ${format}`);
+  return Object.assign({body}, formats[format]);
+}
+
+/**
+ * Export object graph analysis results.
+ * @param {Object} report - {apis, structs, primitives}
+ * @param {Object} config - Configuration used to produce report; e.g.,
+ *                          {include, exclude, filter} or {expression, filter}
+ * @param {String} format - One of "csv", "md" or "json"
+ * @return {Object} - {body, contentType, extension}
+ */
+function exportOG(report, config, format) {
+  const categories = [
+    {name: 'apis', title: 'APIs'},
+    {name: 'structs', title: 'Structures'},
+    {name: 'primitives', title: 'Primitives'},
+  ];
+
+  if (format === 'json') {
+    return result(format, JSON.stringify({
+      config,
+      apis: report.apis,
+      structs: report.structs,
+      primitives: report.primitives,
+    }, null, 2));
+  }
+  if (format === 'csv') {
+    return result(format, toCSV(
+      config, ['category', 'key'],
+      categories.map(category => report[category.name].map(
+        key => [category.name, key]
+      )).reduce((acc, rows) => acc.concat(rows), [])
+    ));
+  }
+  return result(format, toMarkdown(
+    'Object graph analysis', config, ['Key'],
+    categories.map(category => ({
+      title: category.title,
+      rows: report[category.name].map(key => [key]),
+    }))
+  ));
+}
+
+/**
+ * Export IDL analysis log.
+ * @param {Array} entries - Log entries: {level, message}
+ * @param {Object} config - {left, right, interface, checkers, ...} used to
+ *                          produce log
+ * @param {String} format - One of "csv", "md" or "json"
+ * @return {Object} - {body, contentType, extension}
+ */
+function exportIDL(entries, config, format) {
+  if (format === 'json')
+    return result(format, JSON.stringify({config, entries}, null, 2));
+
+  const rows = entries.map(entry => [entry.level, entry.message]);
+  if (format === 'csv')
+    return result(format, toCSV(config, ['level', 'message'], rows));
+  return result(format, toMarkdown(
+    'IDL analysis', config, ['Level', 'Message'],
+    [{title: 'Log', rows}]
+  ));
+}
+
+/**
+ * Export release-to-release churn.
+ * @param {Array} changes - {from, to, added, removed} changes from
+ *                          release_churn.es6.js, where from and to have
+ *                          {label}
+ * @param {Object} config - {browser, platform, key} used to produce changes
+ * @param {String} format - One of "csv", "md" or "json"
+ * @return {Object} - {body, contentType, extension}
+ */
+function exportChurn(changes, config, format) {
+  if (format === 'json')
+    return result(format, JSON.stringify({config, changes}, null, 2));
+
+  const categories = ['apis', 'structs', 'primitives'];
+  const changeRows = change => ['added', 'removed'].map(
+    kind => categories.map(category => change[kind][category].map(
+      key => [kind, category, key]
+    )).reduce((acc, rows) => acc.concat(rows), [])
+  ).reduce((acc, rows) => acc.concat(rows), []);
+
+  if (format === 'csv') {
+    return result(format, toCSV(
+      config, ['from', 'to', 'change', 'category', 'key'],
+      changes.map(change => changeRows(change).map(
+        row => [change.from.label, change.to.label].concat(row)
+      )).reduce((acc, rows) => acc.concat(rows), [])
+    ));
+  }
+  // Markdown reads as a changelog: newest release first.
+  return result(format, toMarkdown(
+    'Release churn', config, ['Change', 'Category', 'Key'],
+    changes.slice().reverse().map(change => ({
+      title: `${change.from.label} to ${change.to.label}`,
+      rows: changeRows(change),
+    }))
+  ));
+}
+
+module.exports = {formats, exportOG, exportIDL, exportChurn};
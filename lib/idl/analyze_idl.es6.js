@@ -24,6 +24,11 @@ const ast = webidl2.ast;
 const serialize = require('simple-serialization');
 const jsonModule = serialize.JSON;
 const checkers = require('./idl_checkers.es6.js');
+const analysis = require('./idl_analysis.es6.js');
+const exporter = require('../export.es6.js');
+const SavedQueries = require('../web/saved_queries.es6.js');
+
+const processingRetryMs = 2000;
 
 // Get an element from the DOM.
 function e(selector) {
@@ -43,6 +48,8 @@ class DOMLogger {
     Object.assign(this, {
       maxEntries: 20,
       nextHTML: [],
+      // Plain text {level, message} entries, for export.
+      entries: [],
       raf: this.raf_.bind(this),
       prefixes: {
         win: 'YESS',
@@ -64,6 +71,7 @@ class DOMLogger {
   clear() {
     this.e.innerHTML = '';
     this.nextHTML = [];
+    this.entries = [];
   }
 
   raf_() {
@@ -116,8 +124,12 @@ class DOMLogger {
     if (!cond) this.error(`Assertion failure: ${msg || '<no message>'}`);
   }
 }
-['win', 'log', 'info', 'warn', 'error'].forEach(name => {
+analysis.levels.forEach(name => {
   DOMLogger.prototype[name] = function(...content) {
+    this.entries.push({
+      level: name,
+      message: analysis.messageToString(content),
+    });
     return this.log_(content, this.prefixes[name], this.colors[name]);
   };
 });
@@ -132,24 +144,10 @@ let data = {
   checkers: checkers.slice(),
 };
 
-// String hash code.
-function hashCode(str) {
-  let hash = 0;
-  if (str.length === 0) return hash;
-
-  for (let i = 0; i < str.length; i++) {
-    const code = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + code;
-    hash &= hash;
-  }
-
-  return Math.abs(hash % 1000);
-}
-
 function updateHash() {
   window.location.hash = 'l=' +
-    encodeURIComponent(hashCode(e('#left-input').value)) +
-    '&r=' + encodeURIComponent(hashCode(e('#right-input').value)) +
+    encodeURIComponent(e('#left-input').value) +
+    '&r=' + encodeURIComponent(e('#right-input').value) +
     '&i=' + encodeURIComponent(e('#interface-input').value) +
     '&c=' + encodeURIComponent(
       checkers.concat([{name: 'custom'}]).map(checker => checker.name).filter(
@@ -159,46 +157,72 @@ function updateHash() {
     '&ckr=' + encodeURIComponent(e('#custom-checker-code').value || '');
 }
 
+// Load configuration from getConfig() into DOM inputs.
+function applyConfig(config) {
+  e('#left-input').value = config.left || '';
+  e('#right-input').value = config.right || '';
+  e('#interface-input').value = config.interface || '';
+
+  const enabledCheckers = config.checkers || [];
+  checkers.forEach(checker => {
+    e(`#checker-${checker.name}`).checked =
+      enabledCheckers.indexOf(checker.name) >= 0;
+  });
+
+  e('#checker-custom').checked = config.customChecker !== undefined;
+  if (config.customChecker !== undefined)
+    e('#custom-checker-code').value = config.customChecker;
+}
+
 function loadFromHash() {
   const hash = window.location.hash;
   if (!hash) return false;
 
   let values = {};
   ['l', 'r', 'i', 'c', 'ckr'].forEach(function(name) {
-    values[name] =
-      decodeURIComponent(hash.match(new RegExp(name + '=([^&]*)'))[1]);
-  });
-  [{key: 'l', name: 'left'}, {key: 'r', name: 'right'}].forEach(
-    o => {
-      const hash = parseInt(values[o.key], 10);
-      const name = data.sources.filter(function(name) {
-        return hashCode(name) === hash;
-      })[0] || '';
-      const input = e('#' + o.name + '-input');
-      input.value = name;
-    }
-  );
-
-  e('#interface-input').value = values.i;
-
-  const enabledCheckers = values.c.split(',');
-  checkers.concat([{name: 'custom'}]).forEach(checker => {
-    e(`#checker-${checker.name}`).checked =
-      !!enabledCheckers.filter(name => name === checker.name)[0];
+    const match = hash.match(new RegExp('[#&]' + name + '=([^&]*)'));
+    values[name] = match ? decodeURIComponent(match[1]) : '';
   });
 
+  const enabledCheckers = values.c ? values.c.split(',') : [];
+  let config = {
+    left: values.l,
+    right: values.r,
+    interface: values.i,
+    checkers: enabledCheckers,
+  };
+  if (enabledCheckers.indexOf('custom') >= 0) config.customChecker = values.ckr;
+  applyConfig(config);
   e('#custom-checker-code').value = values.ckr;
 
   return true;
 }
 
+// The server processes IDL collections in the background, responding with
+// {processing, message} until a collection is ready; poll until it is.
+function loadIDL(url) {
+  return stdlib.xhr(url, {responseType: 'json'}).then(function(json) {
+    if (json && json.error) {
+      e('#status-value').textContent = `Error: ${json.error}`;
+      return null;
+    }
+    if (!(json && json.processing)) return json;
+
+    e('#status-value').textContent = json.message;
+    return new Promise(resolve => setTimeout(resolve, processingRetryMs))
+      .then(() => loadIDL(url));
+  });
+}
+
 function getData(direction) {
   e('#status-value').textContent = 'Loading data';
 
   const value = e('#' + direction + '-input').value;
-  return stdlib.xhr(optValueToURL(value), {responseType: 'json'}).then(
+  return loadIDL(optValueToURL(value)).then(
     function(json) {
-      if (json !== null) data[direction] = jsonModule.fromJSON(json);
+      // loadIDL() reports errors as null.
+      if (json === null) return;
+      data[direction] = jsonModule.fromJSON(json);
 
       e('#status-value').textContent = 'Idle';
     }
@@ -341,46 +365,52 @@ function analyze() {
 
   e('#status-value').textContent = 'Analyzing';
 
-  if (name === 'ANY') analyzeAllIDLs(logger);
-  else analyzeIDL(logger, name);
+  analysis.analyze(logger, data, name);
 
   e('#status-value').textContent = 'Idle';
 }
 
-function analyzeAllIDLs(logger) {
-  for (const leftDatum of data.left) {
-    analyzeIDL(logger, leftDatum.name || leftDatum.implementer);
-  }
+// Configuration of the current analysis, for saved queries and exports.
+function getConfig() {
+  let config = {
+    left: e('#left-input').value,
+    right: e('#right-input').value,
+    interface: e('#interface-input').value,
+    checkers: checkers.filter(
+      checker => e(`#checker-${checker.name}`).checked
+    ).map(checker => checker.name),
+  };
+  if (e('#checker-custom').checked)
+    config.customChecker = e('#custom-checker-code').value;
+  return config;
 }
 
-function analyzeIDL(logger, name) {
-  logger.info(`Analyzing ${name}`);
-
-  const left = data.left.filter(
-    parse => parse.name === name || parse.implementer === name
-  )[0];
-  if (!left) {
-    logger.error(`No left named "${name}"`);
-  } else {
-    logger.info(`Loaded left ${name} from ${left.url}`);
-  }
-
-  const right = data.right.filter(
-    parse => parse.name === name || parse.implementer === name
-  )[0];
-  if (!right) {
-    logger.error(`No right named ${name}`);
-  } else {
-    logger.info(`Loaded right ${name} from ${right.url}`);
-  }
+function exportResults(format) {
+  const exported = exporter.exportIDL(logger.entries, getConfig(), format);
+  const a = ce('a');
+  a.href = URL.createObjectURL(
+    new Blob([exported.body], {type: exported.contentType})
+  );
+  a.download = `idl_analysis.${exported.extension}`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
 
-  if (!(left && right)) return;
+Object.keys(exporter.formats).forEach(format => {
+  e(`#export-${format}`).addEventListener(
+    'click', exportResults.bind(this, format)
+  );
+});
 
-  for (const checker of data.checkers) {
-    try {
-      checker(logger, left, right);
-    } catch (err) {
-      logger.error(`${checker.name} ${err}: ${err.stack}`);
-    }
-  }
-}
+new SavedQueries({
+  type: 'idl',
+  getConfig,
+  applyConfig: config => {
+    applyConfig(config);
+    updateHash();
+    Promise.all([getData('left'), getData('right')])
+      .then(updateInterfaces).then(updateCheckers).then(analyze);
+  },
+  setStatus: str => e('#status-value').textContent = str,
+});
@@ -0,0 +1,114 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Run IDL checkers over same-named parses from two IDL collections. Shared
+// between analyze_idl.es6.js (in the browser) and lib/server/app.js (in
+// NodeJS).
+
+const levels = ['win', 'log', 'info', 'warn', 'error'];
+
+// Plain text rendering of logger arguments.
+function messageToString(args) {
+  return args.map(arg => {
+    if (typeof arg === 'string') return arg;
+    if (arg === undefined) return 'undefined';
+    if (typeof arg === 'object') return JSON.stringify(arg);
+    return arg.toString();
+  }).join(' ');
+}
+
+// Logger that records {level, message} entries.
+class RecordingLogger {
+  constructor() {
+    this.entries = [];
+  }
+
+  assert(cond, msg) {
+    if (!cond) this.error(`Assertion failure: ${msg || '<no message>'}`);
+  }
+}
+levels.forEach(level => {
+  RecordingLogger.prototype[level] = function(...content) {
+    this.entries.push({level, message: messageToString(content)});
+  };
+});
+
+function getParse(parses, name) {
+  return parses.filter(
+    parse => parse.name === name || parse.implementer === name
+  )[0];
+}
+
+/**
+ * Run checkers over the left and right parses named name.
+ * @param {Object} logger - Logger with win, log, info, warn and error methods
+ * @param {Object} data - {left, right, checkers}: Left and right parse arrays
+ *                        and checker functions
+ * @param {String} name - Name of parses to check
+ */
+function analyzeIDL(logger, data, name) {
+  logger.info(`Analyzing ${name}`);
+
+  const left = getParse(data.left, name);
+  if (!left) {
+    logger.error(`No left named "${name}"`);
+  } else {
+    logger.info(`Loaded left ${name} from ${left.url}`);
+  }
+
+  const right = getParse(data.right, name);
+  if (!right) {
+    logger.error(`No right named ${name}`);
+  } else {
+    logger.info(`Loaded right ${name} from ${right.url}`);
+  }
+
+  if (!(left && right)) return;
+
+  for (const checker of data.checkers) {
+    try {
+      checker(logger, left, right);
+    } catch (err) {
+      logger.error(`${checker.name} ${err}: ${err.stack}`);
+    }
+  }
+}
+
+function analyzeAllIDLs(logger, data) {
+  for (const leftDatum of data.left) {
+    analyzeIDL(logger, data, leftDatum.name || leftDatum.implementer);
+  }
+}
+
+/**
+ * Run checkers over parses named name, or over all left parses if name is
+ * "ANY".
+ */
+function analyze(logger, data, name) {
+  if (name === 'ANY') analyzeAllIDLs(logger, data);
+  else analyzeIDL(logger, data, name);
+}
+
+module.exports = {
+  levels,
+  messageToString,
+  RecordingLogger,
+  analyzeIDL,
+  analyzeAllIDLs,
+  analyze,
+};
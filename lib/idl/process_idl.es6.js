@@ -225,21 +225,22 @@ function gatherInheritance(deduped, parse) {
   return newParse;
 };
 
+// Process parses and return the result as a JSON string. Also write the result
+// to outPath, if given.
 function processParses(data, outPath) {
-  fs.writeFileSync(
-    outPath,
-    toString(
-      concretizeParses(
-        dedupParses(
-          groupParses(
-            loadParses(
-              data
-            )
+  const str = toString(
+    concretizeParses(
+      dedupParses(
+        groupParses(
+          loadParses(
+            data
           )
         )
       )
     )
   );
+  if (outPath) fs.writeFileSync(outPath, str);
+  return str;
 }
 
 function processFile(inPath, outPath) {
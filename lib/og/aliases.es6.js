@@ -0,0 +1,109 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const environmentAnalysis = require('../web/environment_analysis.es6.js');
+const EnvironmentAnalysis = environmentAnalysis.EnvironmentAnalysis;
+const e = environmentAnalysis.e;
+const ce = environmentAnalysis.ce;
+const setStatus = environmentAnalysis.setStatus;
+
+function renderCell(cell) {
+  const td = ce('td');
+  if (!cell) {
+    td.className = 'absent';
+    td.textContent = '-';
+    return td;
+  }
+
+  if (cell.length > 0) td.className = 'aliased';
+  td.textContent = cell.join('\n');
+  return td;
+}
+
+function renderDifferences(result) {
+  const container = e('#differences');
+  container.innerHTML = '';
+
+  const table = ce('table');
+  const head = ce('tr');
+  ['Path'].concat(result.environments.map(env => env.label))
+    .forEach((text, i) => {
+      const th = ce('th');
+      th.textContent = text;
+      if (i >= 1) th.className = 'environment';
+      head.appendChild(th);
+    });
+  table.appendChild(head);
+
+  for (const row of result.differences) {
+    const tr = ce('tr');
+    const pathTd = ce('td');
+    pathTd.textContent = row.path;
+    tr.appendChild(pathTd);
+    row.cells.forEach(cell => tr.appendChild(renderCell(cell)));
+    table.appendChild(tr);
+  }
+
+  container.appendChild(table);
+}
+
+function renderList(title, items, describe) {
+  const section = ce('section');
+  const h = ce('h4');
+  h.textContent = `${title} (${items.length})`;
+  section.appendChild(h);
+  const ul = ce('ul');
+  for (const item of items) {
+    const li = ce('li');
+    li.textContent = describe(item);
+    ul.appendChild(li);
+  }
+  section.appendChild(ul);
+  return section;
+}
+
+function renderEnvironments(result) {
+  const container = e('#environment-aliases');
+  container.innerHTML = '';
+
+  for (const env of result.environments) {
+    const details = ce('details');
+    const summary = ce('summary');
+    summary.textContent = `${env.label}: ${env.aliases.length} aliased ` +
+      `objects, ${env.sharedFunctions.length} shared functions`;
+    details.appendChild(summary);
+    details.appendChild(renderList(
+      'Aliased objects', env.aliases, alias => alias.paths.join(' = ')
+    ));
+    details.appendChild(renderList(
+      'Shared functions', env.sharedFunctions,
+      shared => `${shared.key}: ${shared.owners.join(', ')}`
+    ));
+    container.appendChild(details);
+  }
+}
+
+new EnvironmentAnalysis({
+  url: '/api/og/aliases',
+  inputs: [{selector: '#filter-input', hash: 'f', param: 'filter'}],
+  onResult: result => {
+    renderDifferences(result);
+    renderEnvironments(result);
+    setStatus(`${result.differences.length} differences`);
+  },
+});
@@ -17,9 +17,11 @@
 'use strict';
 
 var stdlib = require('ya-stdlib-js');
-var og = require('object-graph-js');
-var ObjectGraph = og.ObjectGraph;
-var analysis = og.analysis;
+var setExpression = require('./set_expression.es6.js');
+var selector = require('./selector.es6.js');
+var exporter = require('../export.es6.js');
+var SavedQueries = require('../web/saved_queries.es6.js');
+var KeyTree = require('../web/key_tree.es6.js');
 
 var uiData = {
   apis: [],
@@ -28,162 +30,201 @@ var uiData = {
   filter: e('#filter').value,
 };
 
-function hashCode(str) {
-  var hash = 0;
-  if (str.length === 0) return hash;
+// Get an element from the DOM.
+function e(selector) {
+  return document.querySelector(selector);
+}
 
-  for (var i = 0; i < str.length; i++) {
-    var code = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + code;
-    hash &= hash;
+// Analyses run in a worker (analyze_og_worker.es6.js), one job at a time.
+// Jobs are numbered so that messages from superseded jobs are ignored.
+var worker = null;
+var jobId = 0;
+var jobRunning = false;
+
+// Run an analysis job in the worker, cancelling any job still running.
+function runJob(job) {
+  cancelJob();
+  if (!worker) {
+    worker = new Worker('bundle/analyze_og_worker.es6.bundle.js');
+    worker.addEventListener('message', onJobMessage);
   }
-
-  return Math.abs(hash % 1000);
+  job.id = ++jobId;
+  jobRunning = true;
+  worker.postMessage(job);
 }
 
-// Get an element from the DOM.
-function e(selector) {
-  return document.querySelector(selector);
+// Analysis is synchronous in the worker, so the only way to stop a running
+// job is to terminate the worker; a new one is started for the next job.
+function cancelJob() {
+  jobId++;
+  if (!jobRunning) return;
+  worker.terminate();
+  worker = null;
+  jobRunning = false;
+  setProgress('Idle', 0, 0);
 }
 
-// Perform object graph set refinement by including objects in inGraphs and
-// excluding objects in exGraphs. Write output to DOM.
-function doAnalyses(inGraphs, exGraphs) {
-  var apisE = e('#apis');
-  var structsE = e('#structs');
-  var primitivesE = e('#primitives');
+function onJobMessage(evt) {
+  var msg = evt.data;
+  if (msg.id !== jobId) return;
 
-  apisE.textContent = structsE.textContent = primitivesE.textContent = '';
+  if (msg.type === 'progress') {
+    setProgress(msg.message + ' (' + msg.done + '/' + msg.total + ')',
+                msg.done, msg.total);
+    return;
+  }
 
-  // Sanity check input graph ids.
-  inGraphs.concat(exGraphs).map(function(g) {
-    g.getAllIds().forEach(function(id) {
-      if (isNaN(id)) debugger;
-    });
-  });
+  jobRunning = false;
+  if (msg.type === 'error') {
+    setProgress('Error: ' + msg.message, 0, 0);
+    return;
+  }
+  showResults(msg.result);
+  setProgress('Idle', 0, 0);
+}
 
-  var graph = analysis.intersectDifference(inGraphs, exGraphs);
+// Output job status and progress to DOM.
+function setProgress(status, done, total) {
+  var progressE = e('#progress');
+  e('#status-value').textContent = status;
+  progressE.max = total || 1;
+  progressE.value = done;
+}
 
-  console.assert(graph.data[graph.root]);
+// Output {apis, structs, primitives} to DOM.
+function showResults(result) {
+  uiData.apis = result.apis;
+  uiData.structs = result.structs;
+  uiData.primitives = result.primitives;
 
-  // Sanity check output graph ids.
-  graph.getAllIds().forEach(function(id) {
-    if (isNaN(id)) debugger;
-  });
-  var ids = graph.getAllIds().filter(function(id) {
-    return !isNaN(id);
-  }).sort();
-
-  // APIs are functions in resulting graph.
-  uiData.apis = ids.filter(function(id) {
-    return graph.isFunction(id);
-  }).map(function(id) {
-    return graph.getShortestKey(id);
-  }).sort();
-
-  // Structs are non-function in the resulting graph.
-  var allStructs = ids.filter(function(id) {
-    // Don't include the root in struct analysis.
-    return id !== graph.root && !graph.isFunction(id);
-  }).map(function(id) {
-    return graph.getShortestKey(id);
-  }).sort();
-  // Only report "leaf structs"; they have no other structs for which their key
-  // is a prefix.
-  uiData.structs = Array.from(allStructs).filter(
-    function(struct) {
-      return !allStructs.some(function(otherStruct) {
-        return otherStruct.length > struct.length &&
-            otherStruct.indexOf(struct) === 0;
-      });
+  filter();
+}
+
+// Environments named in the current set expression, and its readable
+// rendering, once resolved.
+var expressionEnvironments = {};
+var expressionRendering = '';
+
+// Evaluate the set expression input, and output results.
+function analyzeExpression() {
+  var renderingE = e('#expression-rendering');
+  var statusE = e('#status-value');
+  var expression;
+  try {
+    expression = setExpression.parse(e('#expression-input').value);
+  } catch (err) {
+    renderingE.textContent = expressionRendering = '';
+    statusE.textContent = 'Invalid expression: ' + err.message;
+    return;
+  }
+
+  var names = setExpression.getNames(expression);
+  expressionEnvironments = {};
+  for (var i = 0; i < names.length; i++) {
+    // Names resolve to the latest revision, unless they are the id of an
+    // earlier one.
+    var entry = setExpression.resolveName(names[i], allEntries);
+    if (entry === null) {
+      renderingE.textContent = expressionRendering = '';
+      statusE.textContent = 'No environment matches ' + names[i];
+      return;
     }
+    expressionEnvironments[names[i]] = entry;
+  }
+  renderingE.textContent = expressionRendering = setExpression.toString(
+    expression, function(name) { return expressionEnvironments[name].label; }
   );
 
-  uiData.primitives = ids.map(function(id) {
-    var prefix = graph.getShortestKey(id);
-    console.assert(graph.lookup(prefix));
-    var $ = graph.getObjectKeys(id);
-    var a = $.filter(function(key) {
-      return graph.isType(graph.lookup(key, id));
-    });
-    var b = a.map(function(key) {
-      return prefix + '.' + key;
-    });
-    return b;
-  }).reduce(function(acc, arr) {
-    return acc.concat(arr);
-  }, []).filter(function(key) {
-    var prefix = key.split('.');
-    var postfix = prefix[prefix.length - 1];
-    prefix = prefix.slice(0, prefix.length - 1).join('.');
-    return (
-      !graph.isFunction(graph.lookup(prefix)) ||
-        !['arguments', 'caller', 'length', 'name'].some(function(name) {
-          return name === postfix;
-        })
-    );
-  }).sort();
-
-  filter();
+  var urls = {};
+  names.forEach(function(name) {
+    urls[name] = expressionEnvironments[name].url;
+  });
+  runJob({expression: e('#expression-input').value, urls: urls});
 }
 
-// Convert datalist option value to a data retrieval URL. This is tightly
-// coupled to xhr('/list/og') callback below, and to server's data routing
-// routing scheme.
-function optValueToURL(label) {
-  return '/data/og/' + label.replace(/ /g, '/');
+// Convert an input value (an environment label, a selector such as
+// "Chrome >= 53", or a capture id from a permalink, which may be of an earlier
+// revision) to data retrieval URLs; none if the value selects no listed
+// environment. This is tightly coupled to xhr('/list/og') callback below.
+function optValueToURLs(value) {
+  if (includeExcludeById[value]) return [includeExcludeById[value].url];
+  try {
+    return selector.resolve(value, listedEntries).map(function(entry) {
+      return entry.url;
+    });
+  } catch (err) {
+    return [];
+  }
 }
 
 // Gather configuration from DOM inputs, perform analyses, and output results.
+// A set expression, if given, replaces include and exclude inputs. Inputs
+// have changed, so any analysis still running is cancelled.
 function analyze() {
-  // Map input option values to URLs.
+  cancelJob();
+  if (e('#expression-input').value.trim()) {
+    analyzeExpression();
+    return;
+  }
+  e('#expression-rendering').textContent = expressionRendering = '';
+
+  // Map input option values to URLs. Values that select nothing are
+  // reported, rather than ignored, so that results are never silently
+  // computed from fewer environments than given.
+  var unresolved = [];
   function inputPaths(inputs) {
-    var rtn = new Array(inputs.length);
+    var rtn = [];
     for ( var i = 0; i < inputs.length; i++ ) {
-      rtn[i] = optValueToURL(inputs[i].value);
+      var urls = optValueToURLs(inputs[i].value);
+      if (urls.length === 0 && inputs[i].value.trim())
+        unresolved.push(inputs[i].value);
+      rtn = rtn.concat(urls);
     }
     return rtn;
   }
 
   var inPaths = inputPaths(e('#include-inputs').querySelectorAll('input'));
   var exPaths = inputPaths(e('#exclude-inputs').querySelectorAll('input'));
-
-  // Continuation hack: Keep trying until inGraphs and exGraphs are populated,
-  // then do analyses.
-  var inGraphs = null, exGraphs = exPaths.length === 0 ? [] : null;
-  function next(i) {
-    if ( inGraphs && exGraphs && inGraphs.length > 0 ) {
-      e('#status-value').textContent = '... ANALYZING ...';
-      doAnalyses(inGraphs, exGraphs);
-      e('#status-value').textContent = 'IDLE';
-    }
+  if (unresolved.length > 0) {
+    e('#status-value').textContent = 'No environment matches ' +
+      unresolved.join(', ');
+    return;
   }
+  if (inPaths.length === 0) return;
 
-  // Map data fetched from URLs to ObjectGraph instances.
-  function getObjectGraphs(jsons) {
-    return jsons.filter(function(json) { return json !== null; }).map(
-      function(data) { return ObjectGraph.fromJSON(data); }
-    );
-  }
-
-  // Map URL paths to inGraphs and exGraphs, then do analyses.
-  stdlib.xhr(inPaths, { responseType: 'json' }).then(function(jsons) {
-    inGraphs = getObjectGraphs(jsons);
-    next();
-  });
-  stdlib.xhr(exPaths, { responseType: 'json' }).then(function(jsons) {
-    exGraphs = getObjectGraphs(jsons);
-    next();
-  });
+  runJob({include: inPaths, exclude: exPaths});
 }
 
 var includeExcludeOpts = [];
-
-// Add <option>s to the given <datalist>.
+// Entries from /list/og: the latest revision of each environment.
+var listedEntries = [];
+// Entries of every revision, from /list/og?revisions=true.
+var allEntries = [];
+// Maps from option value (environment label) to /list/og entry, and from
+// capture id, of any revision, to entry.
+var includeExcludeEntries = {};
+var includeExcludeById = {};
+
+// Add <option>s to the given <datalist>: environment labels, then example
+// selectors, including one for each captured worker scope.
 function addOpts(datalist) {
-  for ( var i = 0; i < includeExcludeOpts.length; i++ ) {
+  var browsers = [];
+  var scopes = [];
+  listedEntries.forEach(function(entry) {
+    var name = entry.environment.browser.name;
+    if (browsers.indexOf(name) < 0) browsers.push(name);
+    if (entry.key !== 'window' && scopes.indexOf(entry.key) < 0)
+      scopes.push(entry.key);
+  });
+  var opts = includeExcludeOpts.concat(['latest of each browser']).concat(
+    browsers.sort().map(function(name) { return 'latest ' + name; })
+  ).concat(scopes.sort().map(function(key) {
+    return 'latest of each browser in ' + key;
+  }));
+
+  for ( var i = 0; i < opts.length; i++ ) {
     var opt = document.createElement('option');
-    opt.value = includeExcludeOpts[i];
+    opt.value = opts[i];
     datalist.appendChild(opt);
   }
 }
@@ -191,8 +232,16 @@ function addOpts(datalist) {
 // Get a list of environments the server has data for, and add them to a
 // <datalist>.
 var l = window.location;
-stdlib.xhr('/list/og', { responseType: 'json' }).then(function(arr) {
-  includeExcludeOpts = arr;
+stdlib.xhr('/list/og?revisions=true', {
+  responseType: 'json',
+}).then(function(arr) {
+  allEntries = arr;
+  arr.forEach(function(entry) { includeExcludeById[entry.id] = entry; });
+  listedEntries = arr.filter(function(entry) { return entry.latest; });
+  includeExcludeOpts = listedEntries.map(function(entry) {
+    includeExcludeEntries[entry.label] = entry;
+    return entry.label;
+  });
   addOpts(e('#environments'));
   if (!loadFromHash()) {
     setupDefaults();
@@ -239,62 +288,147 @@ function addInputTo(name, datalist) {
   return input;
 }
 
-function filter(evt) {
-  var str = e('#filter').value;
-  var re = new RegExp(str);
-
+// Results in uiData that match the search filter.
+function getFilteredResults() {
+  var re = new RegExp(e('#filter').value);
+  var results = {};
   ['apis', 'structs', 'primitives'].forEach(function(name) {
-    var el = e('#' + name);
-    el.textContent = uiData[name].filter(
+    results[name] = uiData[name].filter(
       function(key) { return key.match(re); }
-    ).join('\n');
+    );
+  });
+  return results;
+}
+
+// Result trees, by result name.
+var trees = {};
+['apis', 'structs', 'primitives'].forEach(function(name) {
+  trees[name] = new KeyTree({container: e('#' + name)});
+});
+
+function filter(evt) {
+  var results = getFilteredResults();
+  ['apis', 'structs', 'primitives'].forEach(function(name) {
+    trees[name].setKeys(results[name]);
+    e('#' + name + '-count').textContent = '(' + results[name].length + ')';
+  });
+}
+
+// Configuration of the current analysis, recorded in exports.
+function getConfig() {
+  function describeInputs(el) {
+    return Array.from(el.querySelectorAll('input')).map(function(input) {
+      var entry = includeExcludeEntries[input.value] ||
+          includeExcludeById[input.value];
+      if (entry) return entry.label + ' (' + entry.id + ')';
+
+      // Record the environments a selector resolved to.
+      var urls = optValueToURLs(input.value);
+      return input.value + ' (' + listedEntries.filter(function(entry) {
+        return urls.indexOf(entry.url) >= 0;
+      }).map(function(entry) { return entry.id; }).join(', ') + ')';
+    });
+  }
+
+  if (expressionRendering) {
+    return {
+      expression: expressionRendering,
+      filter: e('#filter').value,
+    };
+  }
+
+  return {
+    include: describeInputs(e('#include')),
+    exclude: describeInputs(e('#exclude')),
+    filter: e('#filter').value,
+  };
+}
+
+function exportResults(format) {
+  var exported = exporter.exportOG(getFilteredResults(), getConfig(), format);
+  var a = document.createElement('a');
+  a.href = URL.createObjectURL(
+    new Blob([exported.body], {type: exported.contentType})
+  );
+  a.download = 'og_analysis.' + exported.extension;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+}
+
+// Capture ids selected in an include/exclude container, or selectors, as
+// entered. Inputs that select no listed environment yield '', so that the
+// number of inputs is preserved.
+function inputIds(el) {
+  return Array.from(el.querySelectorAll('input')).map(function(input) {
+    var entry = includeExcludeEntries[input.value];
+    if (entry) return entry.id;
+    return optValueToURLs(input.value).length > 0 ? input.value : '';
   });
 }
 
-function inputListHash(el) {
-  return Array.from(el.querySelectorAll('input')).map(
-    function(el) { return encodeURIComponent(hashCode(el.value)); }
-  ).join(',');
+// Configuration of the current analysis, for permalinks and saved queries.
+function getQueryConfig() {
+  return {
+    include: inputIds(e('#include')),
+    exclude: inputIds(e('#exclude')),
+    filter: e('#filter').value,
+    expression: e('#expression-input').value,
+  };
+}
+
+// Load configuration from getQueryConfig() into DOM inputs.
+function applyConfig(config) {
+  e('#filter').value = config.filter || '';
+  e('#expression-input').value = config.expression || '';
+  ['include', 'exclude'].forEach(function(name) {
+    var datalist = e('#environments');
+    // Values that are not capture ids are selectors. Ids of earlier
+    // revisions are kept as ids, since labels select the latest revision.
+    var labels = (config[name] || []).map(function(id) {
+      var entry = includeExcludeById[id];
+      return entry && entry.latest ? entry.label : id;
+    });
+    var container = e('#' + name + '-inputs');
+    var inputs = Array.from(container.querySelectorAll('input'));
+    while (inputs.length > labels.length) {
+      container.removeChild(inputs.pop().parentElement);
+    }
+    while (inputs.length < labels.length) {
+      inputs.push(addInputTo(name, datalist));
+    }
+    for (var i = 0; i < inputs.length; i++) {
+      inputs[i].value = labels[i];
+    }
+  });
 }
 
 function updateHash() {
-  window.location.hash = 'q=' + encodeURIComponent(e('#filter').value) + '&i=' +
-        inputListHash(e('#include')) + '&e=' + inputListHash(e('#exclude'));
+  var config = getQueryConfig();
+  window.location.hash = 'q=' + encodeURIComponent(config.filter) +
+    '&i=' + config.include.map(encodeURIComponent).join(',') +
+    '&e=' + config.exclude.map(encodeURIComponent).join(',') +
+    '&x=' + encodeURIComponent(config.expression);
 }
 
 function loadFromHash() {
   var hash = window.location.hash;
   if (!hash) return false;
 
-  var values = {};
-  ['q', 'i', 'e'].forEach(function(name) {
-    values[name] =
-      decodeURIComponent(hash.match(new RegExp(name + '=([^&]*)'))[1]);
+  function param(name) {
+    var match = hash.match(new RegExp('[#&]' + name + '=([^&]*)'));
+    return match ? match[1] : '';
+  }
+  function ids(str) {
+    return str ? str.split(',').map(decodeURIComponent) : [];
+  }
+
+  applyConfig({
+    filter: decodeURIComponent(param('q')),
+    include: ids(param('i')),
+    exclude: ids(param('e')),
+    expression: decodeURIComponent(param('x')),
   });
-  e('#filter').value = values.q;
-  [{key: 'i', name: 'include'}, {key: 'e', name: 'exclude'}].forEach(
-    function(o) {
-      var datalist = e('#environments');
-      var hashCodes = values[o.key] ? values[o.key].split(',') : [];
-      hashCodes = hashCodes.map(function(str) { return parseInt(str); });
-      var names = hashCodes.map(function(hash) {
-        return includeExcludeOpts.filter(function(name) {
-          return hashCode(name) === hash;
-        })[0] || '';
-      });
-      var container = e('#' + o.name + '-inputs');
-      var inputs = Array.from(container.querySelectorAll('input'));
-      while (inputs.length > names.length) {
-        container.removeChild(inputs.pop().parentElement);
-      }
-      while (inputs.length < names.length) {
-        inputs.push(addInputTo(o.name, datalist));
-      }
-      for (var i = 0; i < inputs.length; i++) {
-        inputs[i].value = names[i];
-      }
-    }
-  );
 
   return true;
 }
@@ -312,3 +446,23 @@ e('#include-add').addEventListener(
 e('#exclude-add').addEventListener(
   'click', addInputTo.bind(this, 'exclude', e('#environments')));
 e('#filter').addEventListener('input', function() { filter(); updateHash(); });
+// Evaluate expressions on <enter> or blur, rather than on every keystroke.
+e('#expression-input').addEventListener('change', function() {
+  updateHash();
+  analyze();
+});
+Object.keys(exporter.formats).forEach(function(format) {
+  e('#export-' + format).addEventListener(
+    'click', exportResults.bind(this, format));
+});
+
+new SavedQueries({
+  type: 'og',
+  getConfig: getQueryConfig,
+  applyConfig: function(config) {
+    applyConfig(config);
+    updateHash();
+    analyze();
+  },
+  setStatus: function(str) { e('#status-value').textContent = str; },
+});
@@ -0,0 +1,113 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Web Worker that loads object graphs and runs analyses for analyze_og.js,
+// keeping the page responsive. Each job message is one of
+//
+//     {id, include: [url], exclude: [url]}
+//     {id, expression, urls: {name: url}}
+//
+// where expression is set expression source, and urls maps each name in it to
+// data retrieval URLs. Replies are any number of
+//
+//     {id, type: 'progress', message, done, total}
+//
+// followed by one {id, type: 'result', result: {apis, structs, primitives}}
+// or {id, type: 'error', message}. Analysis is synchronous, so the page
+// cancels a job by terminating the worker.
+
+const og = require('object-graph-js');
+const ObjectGraph = og.ObjectGraph;
+const report = require('./report.es6.js');
+const setExpression = require('./set_expression.es6.js');
+
+// Graphs loaded by the previous job, by URL. Only these are kept, to bound
+// memory use while still making small edits to inputs cheap.
+let graphs = {};
+
+function post(id, type, data) {
+  self.postMessage(Object.assign({id, type}, data));
+}
+
+function progress(id, message, done, total) {
+  post(id, 'progress', {message, done, total});
+}
+
+function getJSON(url) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('GET', url);
+    xhr.responseType = 'json';
+    xhr.addEventListener('load', () => {
+      if (xhr.status >= 200 && xhr.status < 300 && xhr.response)
+        resolve(xhr.response);
+      else reject(new Error(`Failed to load ${url}: ${xhr.statusText}`));
+    });
+    xhr.addEventListener(
+      'error', () => reject(new Error(`Failed to load ${url}`))
+    );
+    xhr.send();
+  });
+}
+
+// Load and parse the graphs at urls, reporting progress as each is ready.
+// Resolves to a map from URL to ObjectGraph.
+function loadGraphs(id, urls) {
+  const unique = Array.from(new Set(urls));
+  let loaded = {};
+  let done = 0;
+  progress(id, 'Loading', done, unique.length);
+  return Promise.all(unique.map(url => (
+    graphs[url] ? Promise.resolve(graphs[url]) :
+      getJSON(url).then(json => ObjectGraph.fromJSON(json))
+  ).then(graph => {
+    loaded[url] = graph;
+    progress(id, 'Loading', ++done, unique.length);
+  }))).then(() => graphs = loaded);
+}
+
+function run(job) {
+  if (typeof job.expression === 'string') {
+    const expression = setExpression.parse(job.expression);
+    const names = Object.keys(job.urls);
+    return loadGraphs(job.id, names.map(name => job.urls[name])).then(
+      loaded => {
+        progress(job.id, 'Analyzing', 0, names.length);
+        return setExpression.evaluate(
+          expression, name => loaded[job.urls[name]],
+          (done, total) => progress(job.id, 'Analyzing', done, total)
+        );
+      }
+    );
+  }
+
+  return loadGraphs(job.id, job.include.concat(job.exclude)).then(loaded => {
+    progress(job.id, 'Analyzing', 0, 1);
+    return report.intersectDifference(
+      job.include.map(url => loaded[url]), job.exclude.map(url => loaded[url])
+    );
+  });
+}
+
+self.addEventListener('message', evt => {
+  const job = evt.data;
+  Promise.resolve(job).then(run).then(
+    result => post(job.id, 'result', {result}),
+    err => post(job.id, 'error', {message: err.message || String(err)})
+  );
+});
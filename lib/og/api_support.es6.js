@@ -0,0 +1,68 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// API support counts: for every API, struct and primitive found in any of a
+// set of object graphs, the number of graphs, and which graphs, that have
+// it. Used for quorum analysis; e.g., "present in at least 3 of these 4
+// browsers".
+
+const report = require('./report.es6.js');
+
+const categories = ['apis', 'structs', 'primitives'];
+
+/**
+ * Count support for keys across graphs.
+ * @param {Array} keys - report.getKeys() of each graph; graphs themselves need
+ *                       not be kept, so callers can load one at a time
+ * @param {Number} min - Only report keys found in at least min graphs; all
+ *                       keys if not given
+ * @return {Object} - {apis, structs, primitives}, each an array of
+ *                    {key, count, present} sorted by descending count, then
+ *                    key, where present[i] indicates whether graph i has key.
+ *                    Only leaf structs across all graphs are reported.
+ */
+function getSupport(keys, min) {
+  let support = {};
+  categories.forEach(category => {
+    let rows = new Map();
+    keys.forEach((graphKeys, i) => {
+      graphKeys[category].forEach(key => {
+        if (!rows.has(key)) {
+          rows.set(key, {key, count: 0, present: keys.map(_ => false)});
+        }
+        const row = rows.get(key);
+        row.count++;
+        row.present[i] = true;
+      });
+    });
+    if (category === 'structs') {
+      const leaves = new Set(report.getLeaves(Array.from(rows.keys()).sort()));
+      rows.forEach((row, key) => {
+        if (!leaves.has(key)) rows.delete(key);
+      });
+    }
+
+    support[category] = Array.from(rows.values())
+      .filter(row => !min || row.count >= min)
+      .sort((a, b) => b.count - a.count ||
+            (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  });
+  return support;
+}
+
+module.exports = {categories, getSupport};
@@ -0,0 +1,184 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Capture settings for the collection page (index.html), given as query
+// parameters:
+//
+//     root: Object to capture, as a key path from the global scope; e.g.,
+//           "navigator" or "CSS". Defaults to the global scope itself.
+//     blacklist: Comma-separated keys to drop, in addition to the keys that
+//                object-graph-js does not follow.
+//     maxDepth: Only keep objects at most this many keys from the root.
+//     maxNodes: Only keep this many objects, nearest to the root first.
+//     maxDequeueSize: Passed to ObjectGraph.
+//
+// A limit of 0 means no limit. Extra blacklisted keys and limits are
+// post-capture filters: ObjectGraph still traverses blacklisted subtrees, and
+// the captured graph is then pruned; see prune(). They are recorded in the
+// capture's "settings", apart from the "blacklistedKeys" that object-graph-js
+// itself did not follow. Shared between main.js and capture_worker.js.
+
+const defaults = {
+  root: '',
+  blacklist: [],
+  maxDepth: 0,
+  maxNodes: 0,
+  maxDequeueSize: 1000,
+};
+const limits = ['maxDepth', 'maxNodes', 'maxDequeueSize'];
+const rootRE = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*)*$/;
+
+function parseLimit(name, str) {
+  const value = Number(str);
+  if (!/^[0-9]+$/.test(str) || (name === 'maxDequeueSize' && value === 0))
+    throw new Error(`Invalid ${name}: ${str}`);
+  return value;
+}
+
+/**
+ * Parse settings from a query string.
+ * @param {String} search - Query string; e.g., "?root=navigator&maxDepth=2"
+ * @return {Object} - Settings; defaults for any not given. Throws on invalid
+ *                    settings
+ */
+function parse(search) {
+  let settings = Object.assign({}, defaults);
+  search.replace(/^\?/, '').split('&').filter(param => param).forEach(
+    param => {
+      const parts = param.split('=');
+      const name = decodeURIComponent(parts[0]);
+      const value = decodeURIComponent((parts[1] || '').replace(/\+/g, ' '))
+        .trim();
+      if (name === 'root') {
+        if (value && !rootRE.test(value))
+          throw new Error(`Invalid root: ${value}`);
+        settings.root = value;
+      } else if (name === 'blacklist') {
+        settings.blacklist = value.split(',').map(key => key.trim())
+          .filter(key => key);
+      } else if (limits.indexOf(name) >= 0 && value) {
+        settings[name] = parseLimit(name, value);
+      }
+    }
+  );
+  return settings;
+}
+
+/**
+ * Get the object to capture.
+ * @param {Object} global - Global scope; e.g., window
+ * @param {Object} settings - Settings from parse()
+ * @return {Object} - The object at settings.root; throws if there is none
+ */
+function getRoot(global, settings) {
+  if (!settings.root) return global;
+  let object = global;
+  for (const key of settings.root.split('.')) {
+    object = object === null || object === undefined ? undefined : object[key];
+  }
+  if (object === null ||
+      (typeof object !== 'object' && typeof object !== 'function'))
+    throw new Error(`No object at ${settings.root}`);
+  return object;
+}
+
+/**
+ * Get the capture key: the global scope's key, followed by the root, if any;
+ * e.g., "window.navigator".
+ */
+function getKey(scopeKey, settings) {
+  return settings.root ? `${scopeKey}.${settings.root}` : scopeKey;
+}
+
+// Metadata objects may have keys like "hasOwnProperty".
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// ObjectGraph escapes keys that name Object.prototype members in data (e.g.,
+// "$constructor$"), but not in metadata.
+function unescapeKey(key) {
+  return key.replace(/^\$(.+)\$$/, '$1');
+}
+
+/**
+ * Apply blacklist and limits to a JSONified ObjectGraph, and record settings
+ * in its "settings". Blacklisted keys are removed. Objects are then kept breadth-first
+ * from the root, up to maxDepth keys deep and maxNodes objects; keys that
+ * refer to objects that are not kept are removed. Prototype chains of kept
+ * objects are always kept, so that the result is well-formed. Without
+ * blacklist or limits, data is left as captured.
+ * @param {Object} data - JSONified ObjectGraph; modified in place
+ * @param {Object} settings - Settings from parse()
+ * @return {Object} - data
+ */
+function prune(data, settings) {
+  const record = {settings};
+  if (settings.blacklist.length === 0 && !settings.maxDepth &&
+      !settings.maxNodes)
+    return Object.assign(data, record);
+
+  const blacklist = new Set(settings.blacklist);
+  const isBlacklisted = key => blacklist.has(key) ||
+    blacklist.has(unescapeKey(key));
+  const isObject = id => has(data.data, id);
+
+  let kept = new Set();
+  function keep(id) {
+    for (; isObject(id) && !kept.has(id); id = data.protos[id]) kept.add(id);
+  }
+
+  let queue = [{id: data.root, depth: 0}];
+  let seen = new Set([data.root]);
+  for (let i = 0; i < queue.length; i++) {
+    if (settings.maxNodes && i >= settings.maxNodes) break;
+    const next = queue[i];
+    keep(next.id);
+    if (settings.maxDepth && next.depth >= settings.maxDepth) continue;
+    Object.keys(data.data[next.id]).forEach(key => {
+      const id = data.data[next.id][key];
+      if (isBlacklisted(key) || !isObject(id) || seen.has(id)) return;
+      seen.add(id);
+      queue.push({id, depth: next.depth + 1});
+    });
+  }
+
+  let pruned = {data: {}, protos: {}, metadata: {}};
+  kept.forEach(id => {
+    let keys = {};
+    let descriptors = {};
+    const metadata = data.metadata[id] || {};
+    Object.keys(data.data[id]).forEach(key => {
+      const valueId = data.data[id][key];
+      if (isBlacklisted(key) || (isObject(valueId) && !kept.has(valueId)))
+        return;
+      keys[key] = valueId;
+      const metadataKey = has(metadata, key) ? key : unescapeKey(key);
+      if (has(metadata, metadataKey))
+        descriptors[metadataKey] = metadata[metadataKey];
+    });
+    pruned.data[id] = keys;
+    if (has(data.protos, id)) pruned.protos[id] = data.protos[id];
+    if (has(data.metadata, id)) pruned.metadata[id] = descriptors;
+  });
+
+  pruned.functions = data.functions.filter(id => kept.has(id));
+  return Object.assign(data, pruned, record);
+}
+
+module.exports = {defaults, parse, getRoot, getKey, unescapeKey, prune};
@@ -0,0 +1,122 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Statistics of object graph captures over capture time: totals per capture,
+// grouped into series per environment or per browser family, and the global
+// keys added and removed between consecutive captures of a series. Shared
+// between stats.es6.js (in the browser) and lib/server/app.js (in NodeJS).
+
+const report = require('./report.es6.js');
+const interfaceMatrix = require('./interface_matrix.es6.js');
+
+const metrics = [
+  {name: 'objects', title: 'Objects'},
+  {name: 'functions', title: 'Functions'},
+  {name: 'interfaces', title: 'Interfaces'},
+  {name: 'primitives', title: 'Primitives'},
+  {name: 'globals', title: 'Global keys'},
+];
+
+// Series names of capture index entries, by grouping.
+const groupings = {
+  environment: entry => entry.label,
+  browser: entry => entry.environment.browser.name,
+};
+
+/**
+ * Compute statistics of a capture.
+ * @param {ObjectGraph} graph - Captured graph
+ * @return {Object} - {totals, globals}, where totals has a count for each
+ *                    metric and globals is the root's keys, sorted
+ */
+function getStats(graph) {
+  const ids = report.getIds(graph);
+  const globals = graph.getObjectKeys(graph.root).slice().sort();
+  return {
+    totals: {
+      objects: ids.length,
+      functions: ids.filter(id => graph.isFunction(id)).length,
+      interfaces: interfaceMatrix.getInterfaceNames(graph).length,
+      primitives: report.getPrimitives(graph, ids).length,
+      globals: globals.length,
+    },
+    globals,
+  };
+}
+
+// Keys in to that are not in from.
+function difference(to, from) {
+  const fromSet = new Set(from);
+  return to.filter(key => !fromSet.has(key));
+}
+
+/**
+ * Group captures into series over capture time.
+ * @param {Array} entries - Capture index entries; see CaptureStore
+ * @param {Function} getStats - Get {totals, globals} of an entry; see
+ *                              getStats()
+ * @param {Object} opts - {key, groupBy}: Object graph key (default "window")
+ *                        to restrict captures to, and one of "environment"
+ *                        (default) or "browser"
+ * @return {Array} - {name, points, changes} for each series, ordered by name,
+ *                   where points are {entry, totals} ordered by timestamp,
+ *                   and changes are {from, to, added, removed} for each
+ *                   consecutive pair of points, where added and removed are
+ *                   global keys
+ */
+function getSeries(entries, getStats, opts) {
+  const key = opts.key || 'window';
+  const getName = groupings[opts.groupBy || 'environment'];
+  if (!getName) throw new Error(`Unknown grouping: ${opts.groupBy}`);
+
+  let byName = new Map();
+  entries.filter(entry => entry.key === key).sort(
+    (a, b) => a.timestamp - b.timestamp
+  ).forEach(entry => {
+    const name = getName(entry);
+    if (!byName.has(name)) byName.set(name, []);
+    byName.get(name).push(entry);
+  });
+
+  return Array.from(byName.keys()).sort().map(name => {
+    const stats = byName.get(name).map(
+      entry => ({entry, stats: getStats(entry)})
+    );
+    let changes = [];
+    for (let i = 1; i < stats.length; i++) {
+      const from = stats[i - 1];
+      const to = stats[i];
+      changes.push({
+        from: from.entry,
+        to: to.entry,
+        added: difference(to.stats.globals, from.stats.globals),
+        removed: difference(from.stats.globals, to.stats.globals),
+      });
+    }
+    return {
+      name,
+      points: stats.map(point => ({
+        entry: point.entry,
+        totals: point.stats.totals,
+      })),
+      changes,
+    };
+  });
+}
+
+module.exports = {metrics, groupings, getStats, getSeries};
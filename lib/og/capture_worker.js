@@ -0,0 +1,81 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Capture the object graph of a worker global scope. main.js runs this script
+// as a dedicated worker, a shared worker and a service worker, and sends each
+// a {settings} request, where settings are from capture_settings.es6.js. Each
+// replies with {key, data}, where key names the capture and data is the
+// JSONified ObjectGraph, or with {key, error}.
+
+var og = require('object-graph-js');
+var ObjectGraph = og.ObjectGraph;
+var captureSettings = require('./capture_settings.es6.js');
+var functionSignatures = require('./function_signatures.es6.js');
+
+function isScope(name) {
+  return typeof self[name] === 'function' && self instanceof self[name];
+}
+
+// Capture key of this global scope.
+function getKey() {
+  if (isScope('ServiceWorkerGlobalScope')) return 'serviceWorker';
+  if (isScope('SharedWorkerGlobalScope')) return 'sharedWorker';
+  return 'dedicatedWorker';
+}
+
+// Capture this global scope and post the result to port. Calls done when the
+// result has been posted.
+function capture(port, settings, done) {
+  var key = captureSettings.getKey(getKey(), settings);
+  try {
+    var root = captureSettings.getRoot(self, settings);
+    var graph = new ObjectGraph({
+      maxDequeueSize: settings.maxDequeueSize,
+      onDone: function() {
+        var data = captureSettings.prune(graph.toJSON(), settings);
+        data.signatures = functionSignatures.collect(data, root);
+        port.postMessage({key: key, data: JSON.stringify(data)});
+        done();
+      },
+    });
+    graph.capture(root, {key: key});
+  } catch (err) {
+    port.postMessage({key: key, error: err.toString()});
+    done();
+  }
+}
+
+// Dedicated workers reply to the worker; service workers reply on a
+// MessageChannel port sent with the request, and must be kept alive until
+// capture is done.
+self.addEventListener('message', function(evt) {
+  var port = evt.ports && evt.ports[0] ? evt.ports[0] : self;
+  var captured = new Promise(function(resolve) {
+    capture(port, evt.data.settings, resolve);
+  });
+  if (evt.waitUntil) evt.waitUntil(captured);
+});
+
+// Shared workers receive requests on the port of each connecting page.
+self.addEventListener('connect', function(evt) {
+  var port = evt.ports[0];
+  port.addEventListener('message', function(msg) {
+    capture(port, msg.data.settings, function() {});
+  });
+  port.start();
+});
@@ -0,0 +1,146 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const stdlib = require('ya-stdlib-js');
+const releaseChurn = require('./release_churn.es6.js');
+
+// Get an element from the DOM.
+function e(selector) {
+  return document.querySelector(selector);
+}
+
+function ce(tagName) {
+  return document.createElement(tagName);
+}
+
+function setStatus(str) {
+  e('#status-value').textContent = str;
+}
+
+function getParams() {
+  let params = `browser=${encodeURIComponent(e('#browser-input').value)}`;
+  const platform = e('#platform-input').value;
+  if (platform) params += `&platform=${encodeURIComponent(platform)}`;
+  const key = e('#key-input').value;
+  if (key) params += `&key=${encodeURIComponent(key)}`;
+  return params;
+}
+
+function renderKeys(kind, change) {
+  const ul = ce('ul');
+  ul.className = kind;
+  for (const category of releaseChurn.categories) {
+    for (const key of change[kind][category]) {
+      const li = ce('li');
+      li.textContent = `${kind === 'added' ? '+' : '-'} ${key}`;
+      li.title = category;
+      ul.appendChild(li);
+    }
+  }
+  return ul;
+}
+
+// Render changes as a changelog: newest release first.
+function render(changes) {
+  const container = e('#changes');
+  container.innerHTML = '';
+
+  for (const change of changes.slice().reverse()) {
+    const counts = releaseChurn.countChange(change);
+    const section = ce('section');
+    const h = ce('h3');
+    h.textContent = `${change.from.label} to ${change.to.label}: ` +
+      `${counts.added} added, ${counts.removed} removed`;
+    section.appendChild(h);
+    section.appendChild(renderKeys('added', change));
+    section.appendChild(renderKeys('removed', change));
+    container.appendChild(section);
+  }
+}
+
+function updateLinks() {
+  const params = getParams();
+  e('#feed').href = e('#feed-alternate').href = `/feed/og/churn?${params}`;
+  for (const format of ['csv', 'md', 'json']) {
+    e(`#export-${format}`).href = `/api/og/churn?${params}&format=${format}`;
+  }
+}
+
+function updateHash() {
+  window.location.hash = `b=${encodeURIComponent(e('#browser-input').value)}` +
+    `&p=${encodeURIComponent(e('#platform-input').value)}` +
+    `&k=${encodeURIComponent(e('#key-input').value)}`;
+}
+
+function loadFromHash() {
+  const browser = window.location.hash.match(/[#&]b=([^&]*)/);
+  const platform = window.location.hash.match(/[#&]p=([^&]*)/);
+  const key = window.location.hash.match(/[#&]k=([^&]*)/);
+  if (!browser) return false;
+
+  e('#browser-input').value = decodeURIComponent(browser[1]);
+  e('#platform-input').value = platform ?
+    decodeURIComponent(platform[1]) : '';
+  e('#key-input').value = key ? decodeURIComponent(key[1]) : '';
+  return true;
+}
+
+// Latest request parameters; responses for older requests are dropped.
+let current = null;
+
+function analyze() {
+  if (!e('#browser-input').value) return;
+
+  const params = current = getParams();
+  updateLinks();
+  setStatus('Loading');
+  stdlib.xhr(`/api/og/churn?${params}`, {responseType: 'json'}).then(churn => {
+    if (params !== current) return;
+    if (!churn || churn.error) {
+      setStatus(`Error: ${churn ? churn.error : 'No response'}`);
+      return;
+    }
+    render(churn.changes);
+    setStatus(`${churn.changes.length} release changes`);
+  }, err => setStatus(`Error: ${err}`));
+}
+
+// Offer browser and platform names, and global scopes, of known captures.
+stdlib.xhr('/list/og', {responseType: 'json'}).then(entries => {
+  const names = {browser: new Set(), platform: new Set(), key: new Set()};
+  for (const entry of entries || []) {
+    names.browser.add(entry.environment.browser.name);
+    names.platform.add(entry.environment.platform.name);
+    names.key.add(entry.key);
+  }
+  for (const kind of ['browser', 'platform', 'key']) {
+    const datalist = e(`#${kind}-names`);
+    for (const name of Array.from(names[kind]).sort()) {
+      const opt = ce('option');
+      opt.value = name;
+      datalist.appendChild(opt);
+    }
+  }
+});
+
+e('#analyze').addEventListener('click', () => {
+  updateHash();
+  analyze();
+});
+
+if (loadFromHash()) analyze();
@@ -0,0 +1,107 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Property descriptor divergence: members of interfaces found in several
+// object graphs whose recorded property descriptors differ; e.g., a data
+// property in one graph and an accessor in another, or an enumerable constant
+// in one graph and a non-enumerable constant in another.
+
+const interfaceMatrix = require('./interface_matrix.es6.js');
+
+// Descriptor attributes that are compared, as described by
+// interfaceMatrix.getInterfaceMatrix(). An attribute is only compared between
+// graphs that record it; e.g., "writable" is only compared between data
+// properties.
+const attributes = [
+  'kind', 'configurable', 'enumerable', 'writable', 'get', 'set',
+];
+
+/**
+ * Get the descriptor attributes that differ between matrix cells.
+ * @param {Array} cells - Member descriptions from getInterfaceMatrix()
+ * @return {Array} - Names of differing attributes; empty unless at least two
+ *                   cells have known descriptors
+ */
+function getDifferences(cells) {
+  const known = cells.filter(cell => cell.present && cell.kind !== 'unknown');
+  if (known.length < 2) return [];
+
+  return attributes.filter(attribute => new Set(
+    known.filter(cell => cell[attribute] !== undefined)
+      .map(cell => cell[attribute])
+  ).size > 1);
+}
+
+/**
+ * Describe the members of every interface in a graph.
+ * @param {ObjectGraph} graph - Graph to describe
+ * @param {RegExp} filter - Only describe interfaces whose names match, if
+ *                          given
+ * @return {Map} - Interface name to getInterfaceMembers()
+ */
+function getInterfaceDescriptions(graph, filter) {
+  let descriptions = new Map();
+  interfaceMatrix.getInterfaceNames(graph).forEach(name => {
+    if (filter && !filter.test(name)) return;
+    descriptions.set(name, interfaceMatrix.getInterfaceMembers(graph, name));
+  });
+  return descriptions;
+}
+
+/**
+ * Find members whose descriptors differ between graphs.
+ * @param {Array} perGraph - getInterfaceDescriptions() of each graph to
+ *                           compare; graphs themselves need not be kept, so
+ *                           callers can load one at a time
+ * @return {Array} - {name, present, members} for each interface with
+ *                   divergent members, sorted by name, where present[i]
+ *                   indicates whether graph i has the interface and members
+ *                   are {path, name, kind, cells, differences} rows from
+ *                   getInterfaceMatrix(), with the names of differing
+ *                   attributes
+ */
+function getDivergence(perGraph) {
+  let names = new Set();
+  perGraph.forEach(descriptions => descriptions.forEach(
+    (_, name) => names.add(name)
+  ));
+
+  let interfaces = [];
+  Array.from(names).sort().forEach(name => {
+    const matrix = interfaceMatrix.getInterfaceMatrix(
+      perGraph.map(descriptions => descriptions.get(name) || null),
+      name
+    );
+    if (matrix.present.filter(present => present).length < 2) return;
+
+    const members = matrix.members.map(
+      member => Object.assign({differences: getDifferences(member.cells)},
+                              member)
+    ).filter(member => member.differences.length > 0);
+    if (members.length > 0)
+      interfaces.push({name, present: matrix.present, members});
+  });
+  return interfaces;
+}
+
+module.exports = {
+  attributes,
+  getDifferences,
+  getInterfaceDescriptions,
+  getDivergence,
+};
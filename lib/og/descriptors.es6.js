@@ -0,0 +1,97 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const environmentAnalysis = require('../web/environment_analysis.es6.js');
+const EnvironmentAnalysis = environmentAnalysis.EnvironmentAnalysis;
+const e = environmentAnalysis.e;
+const ce = environmentAnalysis.ce;
+const setStatus = environmentAnalysis.setStatus;
+
+// Short description of a descriptor; e.g., "data [w-c]" for a writable,
+// non-enumerable, configurable data property.
+function cellText(cell) {
+  if (!cell.present) return '-';
+  if (cell.kind === 'unknown') return '?';
+
+  const flags = (cell.kind === 'accessor' ? '' : cell.writable ? 'w' : '-') +
+        (cell.enumerable ? 'e' : '-') + (cell.configurable ? 'c' : '-');
+  const kind = cell.kind === 'accessor' ?
+        (cell.set ? 'get/set' : cell.get ? 'get' : 'set') : cell.kind;
+  return `${kind} [${flags}]`;
+}
+
+function renderInterface(iface, environments) {
+  const section = ce('section');
+  const h = ce('h3');
+  h.textContent = `${iface.name} (${iface.members.length})`;
+  section.appendChild(h);
+
+  const table = ce('table');
+  const head = ce('tr');
+  ['Member', 'Differs in'].concat(environments.map(env => env.label))
+    .forEach((text, i) => {
+      const th = ce('th');
+      th.textContent = text;
+      if (i >= 2) {
+        th.className = 'environment';
+        if (!iface.present[i - 2]) th.title = `${iface.name} not found`;
+      }
+      head.appendChild(th);
+    });
+  table.appendChild(head);
+
+  for (const member of iface.members) {
+    const tr = ce('tr');
+    const memberTd = ce('td');
+    memberTd.className = 'member';
+    memberTd.textContent = member.path;
+    tr.appendChild(memberTd);
+    const differencesTd = ce('td');
+    differencesTd.textContent = member.differences.join(', ');
+    tr.appendChild(differencesTd);
+
+    for (const cell of member.cells) {
+      const td = ce('td');
+      td.className = cell.present ? cell.kind : 'absent';
+      td.textContent = cellText(cell);
+      tr.appendChild(td);
+    }
+    table.appendChild(tr);
+  }
+
+  section.appendChild(table);
+  return section;
+}
+
+function render(result) {
+  const container = e('#interfaces');
+  container.innerHTML = '';
+  for (const iface of result.interfaces) {
+    container.appendChild(renderInterface(iface, result.environments));
+  }
+}
+
+new EnvironmentAnalysis({
+  url: '/api/og/descriptors',
+  inputs: [{selector: '#filter-input', hash: 'f', param: 'filter'}],
+  onResult: result => {
+    render(result);
+    setStatus(`${result.interfaces.length} interfaces with divergent ` +
+              'descriptors');
+  },
+});
@@ -0,0 +1,148 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Function signatures: the length, name and native-ness of captured
+// functions. Captures record them as
+//
+//     signatures: {[function id]: {length, name, native}}
+//
+// where native indicates that Function.prototype.toString() reports native
+// code. collect() runs where captures are made (main.js and
+// capture_worker.js); compareSignatures() is shared between functions.es6.js
+// (in the browser) and lib/server/app.js (in NodeJS).
+
+const unescapeKey = require('./capture_settings.es6.js').unescapeKey;
+
+// Function.prototype.toString before page scripts can replace it.
+const fnToString = Function.prototype.toString;
+const nativeRE = /\{\s*\[native code\]\s*\}\s*$/;
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isNative(fn) {
+  try {
+    return nativeRE.test(fnToString.call(fn));
+  } catch (err) {
+    return false;
+  }
+}
+
+// Signature of fn. Reading length or name may throw (e.g., on revoked
+// proxies); such attributes are not recorded.
+function getSignature(fn) {
+  let signature = {native: isNative(fn)};
+  try {
+    if (typeof fn.length === 'number') signature.length = fn.length;
+  } catch (err) {}
+  try {
+    if (typeof fn.name === 'string') signature.name = fn.name;
+  } catch (err) {}
+  return signature;
+}
+
+function getOwnValue(object, key) {
+  let descriptor;
+  try {
+    descriptor = Object.getOwnPropertyDescriptor(object, key) ||
+      Object.getOwnPropertyDescriptor(object, unescapeKey(key));
+  } catch (err) {
+    return undefined;
+  }
+  return descriptor && has(descriptor, 'value') ? descriptor.value : undefined;
+}
+
+/**
+ * Collect signatures of functions in a capture by matching its ids to live
+ * objects, starting from root. Only data properties and prototypes are
+ * followed, so functions that are only reachable through accessors are not
+ * recorded.
+ * @param {Object} data - JSONified ObjectGraph captured from root
+ * @param {Object} root - The captured object
+ * @return {Object} - Signatures, by function id
+ */
+function collect(data, root) {
+  const functions = new Set(data.functions);
+  let signatures = {};
+  let objects = new Map([[data.root, root]]);
+  let queue = [data.root];
+
+  function visit(id, value) {
+    if (!has(data.data, id) || objects.has(id) || value === null ||
+        (typeof value !== 'object' && typeof value !== 'function'))
+      return;
+    objects.set(id, value);
+    queue.push(id);
+  }
+
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    const object = objects.get(id);
+    if (functions.has(id)) signatures[id] = getSignature(object);
+
+    Object.keys(data.data[id]).forEach(
+      key => visit(data.data[id][key], getOwnValue(object, key))
+    );
+    try {
+      visit(data.protos[id], Object.getPrototypeOf(object));
+    } catch (err) {}
+  }
+  return signatures;
+}
+
+// Signatures recorded for graph, by shortest key.
+function getSignaturesByKey(graph, signatures) {
+  let byKey = new Map();
+  Object.keys(signatures || {}).forEach(id => {
+    const key = graph.getShortestKey(Number(id));
+    if (key) byKey.set(key, signatures[id]);
+  });
+  return byKey;
+}
+
+/**
+ * Find functions whose length differs between captures, or that are not
+ * native in some capture.
+ * @param {Array} maps - getSignaturesByKey() of each capture; these need not
+ *                       hold on to graphs, so callers can load one at a time
+ * @param {RegExp} filter - Only consider keys that match, if given
+ * @return {Array} - {key, cells, arityDiffers, nonNative} rows, sorted by key,
+ *                   where cells[i] is the signature in maps[i], or null if
+ *                   none is recorded
+ */
+function compareSignatures(maps, filter) {
+  let keys = new Set();
+  maps.forEach(map => map.forEach((signature, key) => keys.add(key)));
+
+  return Array.from(keys).sort().filter(key => !filter || filter.test(key))
+    .map(key => {
+      const cells = maps.map(map => map.get(key) || null);
+      const lengths = new Set(cells.filter(
+        cell => cell && cell.length !== undefined
+      ).map(cell => cell.length));
+      return {
+        key,
+        cells,
+        arityDiffers: lengths.size > 1,
+        nonNative: cells.some(cell => cell && !cell.native),
+      };
+    }).filter(row => row.arityDiffers || row.nonNative);
+}
+
+module.exports = {isNative, collect, getSignaturesByKey, compareSignatures};
@@ -0,0 +1,85 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const environmentAnalysis = require('../web/environment_analysis.es6.js');
+const EnvironmentAnalysis = environmentAnalysis.EnvironmentAnalysis;
+const e = environmentAnalysis.e;
+const ce = environmentAnalysis.ce;
+const setStatus = environmentAnalysis.setStatus;
+
+function getFlags(row) {
+  return [
+    row.arityDiffers ? 'arity differs' : '',
+    row.nonNative ? 'non-native' : '',
+  ].filter(flag => flag).join(', ');
+}
+
+function renderCell(cell) {
+  const td = ce('td');
+  if (!cell) {
+    td.className = 'absent';
+    td.textContent = '-';
+    return td;
+  }
+
+  td.className = cell.native ? 'native' : 'non-native';
+  td.textContent = cell.length === undefined ? '?' : String(cell.length);
+  td.title = (cell.name === undefined ? '(no name)' : cell.name) +
+    (cell.native ? '' : ' (non-native)');
+  return td;
+}
+
+function render(result) {
+  const container = e('#functions');
+  container.innerHTML = '';
+
+  const table = ce('table');
+  const head = ce('tr');
+  ['Function', 'Flags'].concat(result.environments.map(env => env.label))
+    .forEach((text, i) => {
+      const th = ce('th');
+      th.textContent = text;
+      if (i >= 2) th.className = 'environment';
+      head.appendChild(th);
+    });
+  table.appendChild(head);
+
+  for (const row of result.functions) {
+    const tr = ce('tr');
+    const keyTd = ce('td');
+    keyTd.className = 'function';
+    keyTd.textContent = row.key;
+    tr.appendChild(keyTd);
+    const flagsTd = ce('td');
+    flagsTd.textContent = getFlags(row);
+    tr.appendChild(flagsTd);
+    row.cells.forEach(cell => tr.appendChild(renderCell(cell)));
+    table.appendChild(tr);
+  }
+
+  container.appendChild(table);
+}
+
+new EnvironmentAnalysis({
+  url: '/api/og/functions',
+  inputs: [{selector: '#filter-input', hash: 'f', param: 'filter'}],
+  onResult: result => {
+    render(result);
+    setStatus(`${result.functions.length} flagged functions`);
+  },
+});
@@ -0,0 +1,120 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const stdlib = require('ya-stdlib-js');
+
+// Get an element from the DOM.
+function e(selector) {
+  return document.querySelector(selector);
+}
+
+function ce(tagName) {
+  return document.createElement(tagName);
+}
+
+function setStatus(str) {
+  e('#status-value').textContent = str;
+}
+
+// Short description of a matrix cell.
+function cellText(cell) {
+  if (!cell.present) return '-';
+  if (cell.kind === 'accessor')
+    return cell.set ? 'get/set' : 'get';
+  if (cell.kind === 'data')
+    return cell.writable ? 'data' : 'data (ro)';
+  return cell.kind;
+}
+
+function render(matrix) {
+  const head = e('#matrix-head');
+  const body = e('#matrix-body');
+  head.innerHTML = body.innerHTML = '';
+
+  const memberTh = ce('th');
+  memberTh.textContent = 'Member';
+  head.appendChild(memberTh);
+  matrix.environments.forEach((env, i) => {
+    const th = ce('th');
+    th.className = 'environment';
+    th.textContent = env.label;
+    th.title = matrix.present[i] ? env.userAgent :
+      `${matrix.name} not found in ${env.label}`;
+    head.appendChild(th);
+  });
+
+  for (const member of matrix.members) {
+    const tr = ce('tr');
+    const memberTd = ce('td');
+    memberTd.className = 'member';
+    memberTd.textContent = member.path;
+    tr.appendChild(memberTd);
+
+    for (const cell of member.cells) {
+      const td = ce('td');
+      td.className = cell.present ? 'present' : 'absent';
+      td.textContent = cellText(cell);
+      tr.appendChild(td);
+    }
+
+    body.appendChild(tr);
+  }
+}
+
+function updateHash() {
+  window.location.hash = 'i=' +
+    encodeURIComponent(e('#interface-input').value);
+}
+
+function loadFromHash() {
+  const match = window.location.hash.match(/i=([^&]*)/);
+  if (!match) return false;
+
+  e('#interface-input').value = decodeURIComponent(match[1]);
+  return true;
+}
+
+// Latest requested interface; responses for older requests are dropped.
+let current = null;
+
+function analyze() {
+  const name = e('#interface-input').value;
+  current = name;
+  if (!name) return;
+
+  setStatus('Loading');
+  stdlib.xhr(`/api/og/interface?name=${encodeURIComponent(name)}`,
+             {responseType: 'json'}).then(matrix => {
+    if (name !== current) return;
+    if (!matrix || matrix.error) {
+      setStatus(`Error: ${matrix ? matrix.error : 'No response'}`);
+      return;
+    }
+    render(matrix);
+    setStatus(`${matrix.members.length} members`);
+  }, err => setStatus(`Error: ${err}`));
+}
+
+e('#interface-input').addEventListener('keyup', evt => {
+  if (evt.keyCode === 13) {
+    updateHash();
+    analyze();
+  }
+});
+
+if (loadFromHash()) analyze();
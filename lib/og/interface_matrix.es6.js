@@ -0,0 +1,154 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Compatibility matrix of an interface's members across object graphs: one
+// row per member of the interface object ("static") or its prototype
+// ("prototype"), one column per graph.
+
+// Get the recorded property descriptor of key on object id, or null. Some
+// keys (e.g., "constructor") are escaped as "$key$" in graph data, but not in
+// metadata.
+function getDescriptor(graph, id, key) {
+  const metadata = graph.metadata && graph.metadata[id];
+  if (!metadata) return null;
+  if (metadata[key]) return metadata[key];
+  const match = key.match(/^\$(.+)\$$/);
+  return match && metadata[match[1]] || null;
+}
+
+/**
+ * Describe key on object id.
+ * @param {ObjectGraph} graph - Graph that contains id
+ * @param {Number} id - Object id
+ * @param {String} key - Own key of object
+ * @return {Object} - {present, kind}, where kind is one of "method", "data",
+ *                    "accessor" or "unknown"; also {configurable,
+ *                    enumerable} for known kinds, {get, set} for accessors
+ *                    and {writable} for data properties
+ */
+function describeKey(graph, id, key) {
+  const valueId = graph.lookup(key, id);
+  const descriptor = getDescriptor(graph, id, key);
+  if (!descriptor) return {present: true, kind: 'unknown'};
+
+  const attributes = {
+    configurable: !!descriptor.configurable,
+    enumerable: !!descriptor.enumerable,
+  };
+  if (descriptor.get || descriptor.set) {
+    return Object.assign({
+      present: true,
+      kind: 'accessor',
+      get: !!descriptor.get,
+      set: !!descriptor.set,
+    }, attributes);
+  }
+
+  return Object.assign({
+    present: true,
+    kind: graph.isFunction(valueId) ? 'method' : 'data',
+    writable: !!descriptor.writable,
+  }, attributes);
+}
+
+// Interfaces in graph: global functions that have a prototype object.
+function getInterfaceNames(graph) {
+  return graph.getObjectKeys(graph.root).filter(key => {
+    const id = graph.lookup(key, graph.root);
+    if (!graph.isFunction(id)) return false;
+    const protoId = graph.lookup('prototype', id);
+    return protoId !== undefined && protoId !== null &&
+      !graph.isType(protoId);
+  });
+}
+
+/**
+ * Get members of an interface in a graph.
+ * @param {ObjectGraph} graph - The graph
+ * @param {String} name - Interface name; e.g., "HTMLElement"
+ * @return {(Map|null)} - Map from member path (e.g.,
+ *                        "HTMLElement.prototype.click") to
+ *                        {name, kind, description}, or null if the graph has
+ *                        no such interface
+ */
+function getInterfaceMembers(graph, name) {
+  const ifaceId = graph.lookup(name, graph.root);
+  if (ifaceId === undefined || ifaceId === null || graph.isType(ifaceId))
+    return null;
+
+  let members = new Map();
+  function addMembers(id, prefix, kind) {
+    graph.getObjectKeys(id).forEach(key => {
+      members.set(`${prefix}.${key}`, {
+        name: key,
+        kind,
+        description: describeKey(graph, id, key),
+      });
+    });
+  }
+
+  addMembers(ifaceId, name, 'static');
+  const protoId = graph.lookup('prototype', ifaceId);
+  if (protoId !== undefined && protoId !== null && !graph.isType(protoId))
+    addMembers(protoId, `${name}.prototype`, 'prototype');
+
+  return members;
+}
+
+/**
+ * Get the compatibility matrix of an interface across graphs.
+ * @param {Array} perGraph - getInterfaceMembers() of each graph; one column
+ *                           each. Graphs themselves need not be kept, so
+ *                           callers can load one at a time
+ * @param {String} name - Interface name
+ * @return {Object} - {name, present, members}, where present[i] indicates
+ *                    whether graph i has the interface, and members is a
+ *                    sorted array of {path, name, kind, cells}, with
+ *                    cells[i] describing the member in graph i
+ */
+function getInterfaceMatrix(perGraph, name) {
+
+  let rows = new Map();
+  perGraph.forEach(members => {
+    if (!members) return;
+    members.forEach((member, path) => {
+      if (!rows.has(path))
+        rows.set(path, {path, name: member.name, kind: member.kind});
+    });
+  });
+
+  const kindOrder = {static: 0, prototype: 1};
+  const members = Array.from(rows.values()).sort(
+    (a, b) => kindOrder[a.kind] - kindOrder[b.kind] ||
+      (a.name < b.name ? -1 : a.name > b.name ? 1 : 0)
+  );
+  members.forEach(row => {
+    row.cells = perGraph.map(members => {
+      const member = members && members.get(row.path);
+      return member ? member.description : {present: false};
+    });
+  });
+
+  return {
+    name,
+    present: perGraph.map(members => members !== null),
+    members,
+  };
+}
+
+module.exports = {getInterfaceNames, getInterfaceMembers, getInterfaceMatrix};
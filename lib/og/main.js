@@ -19,6 +19,8 @@
 var og = require('object-graph-js');
 var NameRewriter = og.NameRewriter;
 var ObjectGraph = og.ObjectGraph;
+var captureSettings = require('./capture_settings.es6.js');
+var functionSignatures = require('./function_signatures.es6.js');
 
 // Provide some browser + platform info in the UI.
 var browserElement = document.body.querySelector('#browser');
@@ -33,19 +35,196 @@ platformElement.textContent = environmentInfo.platform.name + ' ' +
 
 var dataElement = document.body.querySelector('#data');
 var statusElement = document.body.querySelector('#status');
+var scopesElement = document.body.querySelector('#scopes');
+var formElement = document.body.querySelector('#save');
+// The window capture field is disabled, and so not submitted, until a window
+// capture succeeds.
 function setData(str) {
   dataElement.value = str;
+  dataElement.disabled = str === null;
 }
 
-// Wire up listener for user-initiated data collection.
+// Capture settings come from query parameters, and are edited in the
+// #settings form, which reloads the page with new parameters.
+var settings = captureSettings.defaults;
+try {
+  settings = captureSettings.parse(window.location.search);
+} catch (err) {
+  statusElement.textContent = 'Invalid settings: ' + err.message;
+  document.body.querySelector('#collect').disabled = true;
+}
+['root', 'maxDepth', 'maxNodes', 'maxDequeueSize'].forEach(function(name) {
+  document.body.querySelector('#settings-' + name).value = settings[name];
+});
+document.body.querySelector('#settings-blacklist').value =
+  settings.blacklist.join(',');
+
+// Worker global scopes are captured by capture_worker.js. Each capture is
+// submitted as an additional "data" form field.
+var WORKER_URL = 'bundle/capture_worker.bundle.js';
+
+// Show the status of capturing the global scope named key.
+function setScopeStatus(key, str) {
+  var li = scopesElement.querySelector('[data-key="' + key + '"]');
+  if (!li) {
+    li = document.createElement('li');
+    li.setAttribute('data-key', key);
+    scopesElement.appendChild(li);
+  }
+  li.textContent = key + ': ' + str;
+}
+
+function addWorkerData(key, str) {
+  var input = formElement.querySelector('input[data-key="' + key + '"]');
+  if (!input) {
+    input = document.createElement('input');
+    input.type = 'hidden';
+    input.name = 'data';
+    input.setAttribute('data-key', key);
+    formElement.appendChild(input);
+  }
+  input.value = str;
+}
+
+// Data from a capture_worker.js reply; throws the reply's error, if any.
+function getReplyData(reply) {
+  if (reply.error) throw new Error(reply.error);
+  return reply.data;
+}
+
+// Errors thrown asynchronously in shared and service workers never reach this
+// page, so a capture may never reply; give up after this long.
+var WORKER_TIMEOUT_MS = 60000;
+
+// Reject if promise does not settle within WORKER_TIMEOUT_MS.
+function withTimeout(promise) {
+  var timer;
+  var timeout = new Promise(function(resolve, reject) {
+    timer = setTimeout(function() {
+      reject(new Error('Timed out'));
+    }, WORKER_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(function() {
+    clearTimeout(timer);
+  });
+}
+
+function captureDedicatedWorker() {
+  var worker = null;
+  return withTimeout(new Promise(function(resolve, reject) {
+    worker = new Worker(WORKER_URL);
+    worker.addEventListener('message', function(evt) {
+      resolve(evt.data);
+    });
+    worker.addEventListener('error', function(evt) {
+      reject(new Error(evt.message));
+    });
+    worker.postMessage({settings: settings});
+  })).finally(function() {
+    if (worker) worker.terminate();
+  }).then(getReplyData);
+}
+
+function captureSharedWorker() {
+  if (typeof SharedWorker === 'undefined')
+    return Promise.reject(new Error('Not supported'));
+
+  var worker = null;
+  return withTimeout(new Promise(function(resolve, reject) {
+    worker = new SharedWorker(WORKER_URL);
+    worker.port.addEventListener('message', function(evt) {
+      resolve(evt.data);
+    });
+    worker.addEventListener('error', function(evt) {
+      reject(new Error(evt.message || 'Error starting shared worker'));
+    });
+    worker.port.start();
+    worker.port.postMessage({settings: settings});
+  })).finally(function() {
+    if (worker) worker.port.close();
+  }).then(getReplyData);
+}
+
+// Service workers are registered only for the duration of the capture,
+// including captures that time out before registration completes.
+function captureServiceWorker() {
+  if (!navigator.serviceWorker)
+    return Promise.reject(new Error('Not supported'));
+
+  var registration = null;
+  var settled = false;
+  return withTimeout(navigator.serviceWorker.register(WORKER_URL).then(
+    function(reg) {
+      registration = reg;
+      if (settled) {
+        reg.unregister();
+        return null;
+      }
+      var worker = reg.installing || reg.waiting || reg.active;
+      return new Promise(function(resolve) {
+        var channel = new MessageChannel();
+        channel.port1.addEventListener('message', function(evt) {
+          channel.port1.close();
+          resolve(evt.data);
+        });
+        channel.port1.start();
+        worker.postMessage({settings: settings}, [channel.port2]);
+      });
+    }
+  )).finally(function() {
+    settled = true;
+    if (registration) registration.unregister();
+  }).then(getReplyData);
+}
+
+var workerCaptures = {
+  dedicatedWorker: captureDedicatedWorker,
+  sharedWorker: captureSharedWorker,
+  serviceWorker: captureServiceWorker,
+};
+
+function captureWindow() {
+  return new Promise(function(resolve) {
+    var root = captureSettings.getRoot(window, settings);
+    var graph = new ObjectGraph({
+      maxDequeueSize: settings.maxDequeueSize,
+      onDone: function() {
+        var data = captureSettings.prune(graph.toJSON(), settings);
+        data.signatures = functionSignatures.collect(data, root);
+        resolve(JSON.stringify(data));
+      },
+    });
+    graph.capture(root, {key: captureSettings.getKey('window', settings)});
+  });
+}
+
+// Wire up listener for user-initiated data collection. Scopes that cannot be
+// captured (e.g., service workers in browsers without support) are skipped.
 document.body.querySelector('#collect').addEventListener('click', function() {
   statusElement.textContent = 'Collecting data...';
-  var graph = new ObjectGraph({
-    maxDequeueSize: 1000,
-    onDone: function() {
-      setData(JSON.stringify(graph.toJSON()));
-      statusElement.textContent = 'Data collected.';
-    },
+  scopesElement.innerHTML = '';
+  Array.from(formElement.querySelectorAll('input[data-key]')).forEach(
+    function(input) { formElement.removeChild(input); }
+  );
+
+  setData(null);
+  setScopeStatus('window', 'Collecting...');
+  var captures = [captureWindow().then(function(str) {
+    setData(str);
+    setScopeStatus('window', 'Collected.');
+  }, function(err) {
+    setScopeStatus('window', 'Skipped: ' + err.message);
+  })];
+  Object.keys(workerCaptures).forEach(function(key) {
+    setScopeStatus(key, 'Collecting...');
+    captures.push(workerCaptures[key]().then(function(str) {
+      addWorkerData(key, str);
+      setScopeStatus(key, 'Collected.');
+    }, function(err) {
+      setScopeStatus(key, 'Skipped: ' + err.message);
+    }));
+  });
+  Promise.all(captures).then(function() {
+    statusElement.textContent = 'Data collected.';
   });
-  graph.capture(window, {key: 'window'});
 });
@@ -0,0 +1,185 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Object identity in object graphs: objects reachable through more than one
+// key path ("aliases"; e.g., window.self and window.frames), functions shared
+// between interfaces, and how these relationships differ between graphs.
+// Shared between aliases.es6.js (in the browser) and lib/server/app.js (in
+// NodeJS).
+//
+// The paths to an object are the shortest key of every object that refers to
+// it, followed by the referring key. That finds every reference to an object
+// without enumerating the unbounded number of longer paths through cycles.
+
+const report = require('./report.es6.js');
+const unescapeKey = require('./capture_settings.es6.js').unescapeKey;
+
+// Interface prototypes refer back to their interface object as
+// "constructor"; such references are not aliases of interest.
+function isConstructorLink(graph, id, key, valueId) {
+  return unescapeKey(key) === 'constructor' &&
+    graph.lookup('prototype', valueId) === id;
+}
+
+/**
+ * Get every path to each object in graph.
+ * @param {ObjectGraph} graph - Graph to analyze
+ * @return {Map} - Object id to sorted paths
+ */
+function getPaths(graph) {
+  let paths = new Map([[graph.root, [graph.getShortestKey(graph.root)]]]);
+  report.getIds(graph).forEach(id => {
+    const prefix = graph.getShortestKey(id);
+    if (!prefix) return;
+    graph.getObjectKeys(id).forEach(key => {
+      const valueId = graph.lookup(key, id);
+      if (valueId === undefined || valueId === null ||
+          graph.isType(valueId) || isConstructorLink(graph, id, key, valueId))
+        return;
+      if (!paths.has(valueId)) paths.set(valueId, []);
+      paths.get(valueId).push(`${prefix}.${key}`);
+    });
+  });
+  paths.forEach(arr => arr.sort());
+  return paths;
+}
+
+/**
+ * Find objects reachable through more than one path.
+ * @param {ObjectGraph} graph - Graph to analyze
+ * @return {Array} - {key, isFunction, paths} for each aliased object, sorted
+ *                   by key, where key is the object's shortest key
+ */
+function getAliases(graph) {
+  let aliases = [];
+  getPaths(graph).forEach((paths, id) => {
+    if (paths.length < 2) return;
+    aliases.push({
+      key: graph.getShortestKey(id),
+      isFunction: graph.isFunction(id),
+      paths,
+    });
+  });
+  return aliases.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+}
+
+// Interface (or other object) that a path belongs to: the referring object,
+// with interface prototypes attributed to their interface.
+function getOwner(path) {
+  return path.substr(0, path.lastIndexOf('.')).replace(/\.prototype$/, '');
+}
+
+/**
+ * Find functions shared between interfaces.
+ * @param {Array} aliases - Aliases from getAliases()
+ * @return {Array} - {key, paths, owners} for each function that is reachable
+ *                   from more than one interface (or other object), where
+ *                   owners are the sorted owners of paths
+ */
+function getSharedFunctions(aliases) {
+  return aliases.filter(alias => alias.isFunction).map(alias => ({
+    key: alias.key,
+    paths: alias.paths,
+    owners: Array.from(new Set(alias.paths.map(getOwner))).sort(),
+  })).filter(shared => shared.owners.length > 1);
+}
+
+/**
+ * Index aliases by path.
+ * @param {Array} aliases - Aliases from getAliases()
+ * @return {Map} - Each aliased path to every path to the same object
+ */
+function getAliasesByPath(aliases) {
+  let byPath = new Map();
+  aliases.forEach(alias => alias.paths.forEach(
+    path => byPath.set(path, alias.paths)
+  ));
+  return byPath;
+}
+
+/**
+ * Find the paths that resolve in graph.
+ * @param {ObjectGraph} graph - Graph to look paths up in
+ * @param {Array} paths - Paths to look up
+ * @return {Set} - The paths that resolve in graph
+ */
+function getPresentPaths(graph, paths) {
+  return new Set(paths.filter(path => {
+    const id = graph.lookup(path);
+    return id !== undefined && id !== null;
+  }));
+}
+
+// Sorted paths that are aliased in any of byPath.
+function getAliasedPaths(byPath) {
+  let paths = new Set();
+  byPath.forEach(map => map.forEach((_, path) => paths.add(path)));
+  return Array.from(paths).sort();
+}
+
+/**
+ * Compare aliases between graphs. Only per-graph results are needed, so
+ * callers can load graphs one at a time:
+ *
+ *     const byPath = graphs.map(g => getAliasesByPath(getAliases(g)));
+ *     const paths = getAliasedPaths(byPath);
+ *     compareAliases(byPath, graphs.map(g => getPresentPaths(g, paths)));
+ *
+ * @param {Array} byPath - getAliasesByPath() of each graph
+ * @param {Array} present - getPresentPaths() of each graph, for (at least)
+ *                          getAliasedPaths(byPath)
+ * @param {RegExp} filter - Only consider paths that match, if given
+ * @return {Array} - {path, cells} rows for every aliased path whose aliases
+ *                   differ between graphs, sorted by path, where cells[i] is
+ *                   null if path is not present in graph i, and otherwise
+ *                   lists the other paths to the same object in graph i.
+ *                   Paths that are not present in every graph that has path
+ *                   do not count as differences.
+ */
+function compareAliases(byPath, present, filter) {
+  return getAliasedPaths(byPath).filter(path => !filter || filter.test(path))
+    .map(path => {
+      const cells = byPath.map((map, i) => {
+        if (!present[i].has(path)) return null;
+        return (map.get(path) || []).filter(other => other !== path);
+      });
+      const sets = present.filter((set, i) => cells[i] !== null);
+      const comparable = cells.filter(cell => cell !== null).map(
+        cell => cell.filter(other => sets.every(set => set.has(other)))
+          .join('\n')
+      );
+      return {
+        path,
+        cells,
+        differs: comparable.some(str => str !== comparable[0]),
+      };
+    }).filter(row => row.differs).map(row => ({
+      path: row.path,
+      cells: row.cells,
+    }));
+}
+
+module.exports = {
+  getPaths,
+  getAliases,
+  getSharedFunctions,
+  getAliasesByPath,
+  getAliasedPaths,
+  getPresentPaths,
+  compareAliases,
+};
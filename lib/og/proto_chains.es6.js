@@ -0,0 +1,146 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Prototype chain comparison: reconstruct the prototype chain of each
+// interface prototype object from the graph's protos map, and compare chains
+// across object graphs; e.g.,
+//
+//     HTMLElement.prototype -> Element.prototype -> Node.prototype ->
+//         EventTarget.prototype -> Object.prototype
+
+const interfaceMatrix = require('./interface_matrix.es6.js');
+
+// Name of prototypes that cannot be reached by key from the graph's root.
+const anonymous = '(anonymous)';
+
+function getKey(graph, id) {
+  return graph.getShortestKey(id) || anonymous;
+}
+
+/**
+ * Get the prototype chain of an object.
+ * @param {ObjectGraph} graph - Graph that contains id
+ * @param {Number} id - Object id
+ * @return {Array} - Shortest keys of id's prototype, its prototype, and so on,
+ *                   up to (not including) null; unreachable prototypes are
+ *                   named "(anonymous)"
+ */
+function getChain(graph, id) {
+  const protos = graph.protos || {};
+  let chain = [];
+  let seen = new Set([id]);
+  let protoId = protos[id];
+  while (protoId !== undefined && protoId !== null &&
+         !graph.isType(protoId) && !seen.has(protoId)) {
+    seen.add(protoId);
+    chain.push(getKey(graph, protoId));
+    protoId = protos[protoId];
+  }
+  return chain;
+}
+
+// Chain of name.prototype in graph, starting with name.prototype itself, or
+// null if graph has no such interface.
+function getInterfaceChain(graph, name) {
+  const ifaceId = graph.lookup(name, graph.root);
+  if (ifaceId === undefined || ifaceId === null || graph.isType(ifaceId))
+    return null;
+  const protoId = graph.lookup('prototype', ifaceId);
+  if (protoId === undefined || protoId === null || graph.isType(protoId))
+    return null;
+
+  return [getKey(graph, protoId)].concat(getChain(graph, protoId));
+}
+
+/**
+ * Describe how chains of the same interface disagree.
+ * @param {Array} chains - Chain per graph, or null where the interface is
+ *                         missing
+ * @return {Object} - {agree, missing, reordered}, where missing lists
+ *                    prototypes that are in some chains but not others, and
+ *                    reordered indicates whether prototypes common to all
+ *                    chains appear in different orders
+ */
+function compareChains(chains) {
+  const present = chains.filter(chain => chain !== null);
+  const all = new Set();
+  present.forEach(chain => chain.forEach(key => all.add(key)));
+
+  const missing = Array.from(all).filter(
+    key => present.some(chain => chain.indexOf(key) < 0)
+  ).sort();
+  const common = present.map(
+    chain => chain.filter(key => missing.indexOf(key) < 0).join(' ')
+  );
+  const reordered = common.some(keys => keys !== common[0]);
+
+  return {agree: missing.length === 0 && !reordered, missing, reordered};
+}
+
+/**
+ * Get the prototype chain of every interface in a graph.
+ * @param {ObjectGraph} graph - Graph to analyze
+ * @param {RegExp} filter - Only include interfaces whose names match, if
+ *                          given
+ * @return {Map} - Interface name to getInterfaceChain()
+ */
+function getInterfaceChains(graph, filter) {
+  let chains = new Map();
+  interfaceMatrix.getInterfaceNames(graph).forEach(name => {
+    if (filter && !filter.test(name)) return;
+    const chain = getInterfaceChain(graph, name);
+    if (chain !== null) chains.set(name, chain);
+  });
+  return chains;
+}
+
+/**
+ * Compare prototype chains of interfaces across graphs.
+ * @param {Array} perGraph - getInterfaceChains() of each graph to compare;
+ *                           graphs themselves need not be kept, so callers
+ *                           can load one at a time
+ * @param {Object} opts - {all}: Include interfaces whose chains agree if all
+ *                        is true
+ * @return {Array} - {name, chains, agree, missing, reordered} for each
+ *                   interface found in at least two graphs, sorted by name,
+ *                   where chains[i] is the chain in graph i, or null
+ */
+function compareInterfaceChains(perGraph, opts) {
+  opts = opts || {};
+  let names = new Set();
+  perGraph.forEach(chains => chains.forEach((_, name) => names.add(name)));
+
+  let results = [];
+  Array.from(names).sort().forEach(name => {
+    const chains = perGraph.map(chains => chains.get(name) || null);
+    if (chains.filter(chain => chain !== null).length < 2) return;
+
+    const comparison = compareChains(chains);
+    if (comparison.agree && !opts.all) return;
+    results.push(Object.assign({name, chains}, comparison));
+  });
+  return results;
+}
+
+module.exports = {
+  getChain,
+  getInterfaceChain,
+  compareChains,
+  getInterfaceChains,
+  compareInterfaceChains,
+};
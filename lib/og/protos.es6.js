@@ -0,0 +1,89 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const environmentAnalysis = require('../web/environment_analysis.es6.js');
+const EnvironmentAnalysis = environmentAnalysis.EnvironmentAnalysis;
+const e = environmentAnalysis.e;
+const ce = environmentAnalysis.ce;
+const setStatus = environmentAnalysis.setStatus;
+
+function renderChain(chain, missing) {
+  if (chain === null) return document.createTextNode('-');
+
+  const ol = ce('ol');
+  for (const key of chain) {
+    const li = ce('li');
+    li.textContent = key;
+    if (missing.indexOf(key) >= 0) {
+      li.className = 'missing';
+      li.title = 'Not in every chain';
+    }
+    ol.appendChild(li);
+  }
+  return ol;
+}
+
+function render(result) {
+  const head = e('#chains-head');
+  const body = e('#chains-body');
+  head.innerHTML = body.innerHTML = '';
+
+  ['Interface', 'Disagreement'].concat(result.environments.map(
+    env => env.label
+  )).forEach((text, i) => {
+    const th = ce('th');
+    th.textContent = text;
+    if (i >= 2) th.className = 'environment';
+    head.appendChild(th);
+  });
+
+  for (const iface of result.interfaces) {
+    const tr = ce('tr');
+    const nameTd = ce('td');
+    nameTd.className = 'interface';
+    nameTd.textContent = iface.name;
+    tr.appendChild(nameTd);
+
+    const disagreementTd = ce('td');
+    disagreementTd.textContent = [
+      iface.missing.length > 0 ? `${iface.missing.length} missing` : '',
+      iface.reordered ? 'reordered' : '',
+    ].filter(str => str).join(', ');
+    tr.appendChild(disagreementTd);
+
+    for (const chain of iface.chains) {
+      const td = ce('td');
+      td.className = chain === null ? 'absent' : '';
+      td.appendChild(renderChain(chain, iface.missing));
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  }
+}
+
+new EnvironmentAnalysis({
+  url: '/api/og/protos',
+  inputs: [
+    {selector: '#filter-input', hash: 'f', param: 'filter'},
+    {selector: '#all-input', hash: 'a', param: 'all'},
+  ],
+  onResult: result => {
+    render(result);
+    setStatus(`${result.interfaces.length} interfaces`);
+  },
+});
@@ -0,0 +1,117 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const environmentAnalysis = require('../web/environment_analysis.es6.js');
+const EnvironmentAnalysis = environmentAnalysis.EnvironmentAnalysis;
+const e = environmentAnalysis.e;
+const ce = environmentAnalysis.ce;
+const setStatus = environmentAnalysis.setStatus;
+const categories = require('./api_support.es6.js').categories;
+
+// Rendering thousands of rows is slow; show at most this many.
+const maxRows = 2000;
+
+// Latest /api/og/quorum response.
+let support = null;
+
+function getRows() {
+  const min = Number(e('#min-input').value);
+  const re = new RegExp(e('#filter-input').value);
+  const rows = categories.map(category => support[category].filter(
+    row => row.count >= min && re.test(row.key)
+  ).map(row => Object.assign({category}, row)))
+    .reduce((acc, rows) => acc.concat(rows), []);
+
+  return e('#sort-input').value === 'key' ?
+    rows.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0) :
+    rows.sort((a, b) => b.count - a.count ||
+              (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+}
+
+function render() {
+  if (!support) return;
+
+  const environments = support.environments;
+  e('#min-value').textContent =
+    `at least ${e('#min-input').value} of ${environments.length}`;
+
+  const head = e('#support-head');
+  const body = e('#support-body');
+  head.innerHTML = body.innerHTML = '';
+  ['Category', 'Key', 'Count'].concat(environments.map(env => env.label))
+    .forEach((text, i) => {
+      const th = ce('th');
+      th.textContent = text;
+      if (i >= 3) th.className = 'environment';
+      head.appendChild(th);
+    });
+
+  let rows;
+  try {
+    rows = getRows();
+  } catch (err) {
+    setStatus(`Invalid filter: ${err.message}`);
+    return;
+  }
+  for (const row of rows.slice(0, maxRows)) {
+    const tr = ce('tr');
+    [row.category, row.key, row.count].forEach((text, i) => {
+      const td = ce('td');
+      td.textContent = text;
+      if (i === 1) td.className = 'key';
+      tr.appendChild(td);
+    });
+    for (const present of row.present) {
+      const td = ce('td');
+      td.className = present ? 'present' : 'absent';
+      td.textContent = present ? '✓' : '-';
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  }
+
+  setStatus(rows.length > maxRows ?
+            `Showing ${maxRows} of ${rows.length} keys` :
+            `${rows.length} keys`);
+}
+
+// Filtering and sorting are done in the page, so only environments are sent
+// to the server.
+const analysis = new EnvironmentAnalysis({
+  url: '/api/og/quorum',
+  inputs: [
+    {selector: '#filter-input', hash: 'f'},
+    {selector: '#min-input', hash: 'n', defaultValue: '1'},
+    {selector: '#sort-input', hash: 's', defaultValue: 'count'},
+  ],
+  onResult: result => {
+    support = result;
+    const min = e('#min-input');
+    min.max = result.environments.length;
+    if (Number(min.value) > result.environments.length)
+      min.value = result.environments.length;
+    render();
+  },
+});
+
+['#min-input', '#filter-input', '#sort-input'].forEach(selector => {
+  e(selector).addEventListener('input', () => {
+    analysis.updateHash();
+    render();
+  });
+});
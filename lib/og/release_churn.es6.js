@@ -0,0 +1,142 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Release-to-release churn of a browser family: order captures of one browser
+// by version, and report what was added and removed between each consecutive
+// pair of releases on the same platform. Releases on different platforms are
+// never compared, so that platform differences do not count as churn. Shared
+// between churn.es6.js (in the browser), lib/server/app.js and
+// main/og_churn.es6.js (in NodeJS).
+
+const report = require('./report.es6.js');
+const version = require('../version.es6.js');
+
+const categories = ['apis', 'structs', 'primitives'];
+
+function escapeXML(str) {
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+const getPlatform = entry => entry.environment.platform.name;
+
+/**
+ * Select one capture per release of a browser on each platform.
+ * @param {Array} entries - Capture index entries; see CaptureStore
+ * @param {Object} opts - {browser, platform, key}: Browser name, and optional
+ *                        platform name and object graph key (default
+ *                        "window") to restrict captures to
+ * @return {Array} - Latest capture of each browser version on each platform,
+ *                   ordered by platform name, then version
+ */
+function getReleases(entries, opts) {
+  const key = opts.key || 'window';
+  const releases = entries.filter(
+    entry => entry.key === key &&
+      entry.environment.browser.name === opts.browser &&
+      (!opts.platform || getPlatform(entry) === opts.platform)
+  ).sort((a, b) => (getPlatform(a) < getPlatform(b) ? -1 :
+                    getPlatform(a) > getPlatform(b) ? 1 : 0) ||
+         version.compare(a.environment.browser.version,
+                         b.environment.browser.version) ||
+         b.timestamp - a.timestamp);
+
+  return releases.filter(
+    (entry, i) => i === 0 ||
+      getPlatform(entry) !== getPlatform(releases[i - 1]) ||
+      entry.environment.browser.version !==
+      releases[i - 1].environment.browser.version
+  );
+}
+
+/**
+ * Compute churn between consecutive releases on the same platform.
+ * @param {Array} releases - Releases ordered by platform and version, from
+ *                           getReleases()
+ * @param {Function} getGraph - Load the ObjectGraph of a release
+ * @return {Array} - {from, to, added, removed} for each consecutive pair of
+ *                   releases on the same platform, where added and removed
+ *                   are {apis, structs, primitives}
+ */
+function getChurn(releases, getGraph) {
+  let changes = [];
+  for (let i = 1; i < releases.length; i++) {
+    if (getPlatform(releases[i - 1]) !== getPlatform(releases[i])) continue;
+    const from = getGraph(releases[i - 1]);
+    const to = getGraph(releases[i]);
+    changes.push({
+      from: releases[i - 1],
+      to: releases[i],
+      added: report.intersectDifference([to], [from]),
+      removed: report.intersectDifference([from], [to]),
+    });
+  }
+  return changes;
+}
+
+// Number of keys added and removed in a change.
+function countChange(change) {
+  const count = set => categories.reduce(
+    (acc, category) => acc + set[category].length, 0
+  );
+  return {added: count(change.added), removed: count(change.removed)};
+}
+
+/**
+ * Render churn as an Atom feed with one entry per release, newest first.
+ * @param {Array} changes - Changes from getChurn(), where from and to have
+ *                          {id, label, timestamp}
+ * @param {Object} opts - {title, url}: Feed title and absolute feed URL
+ * @return {String} - Atom XML
+ */
+function toAtom(changes, opts) {
+  const updated = changes.reduce(
+    (acc, change) => Math.max(acc, change.to.timestamp), 0
+  );
+  const entries = changes.slice().reverse().map(change => {
+    const counts = countChange(change);
+    const lines = [];
+    ['added', 'removed'].forEach(kind => categories.forEach(
+      category => change[kind][category].forEach(
+        key => lines.push(`${kind === 'added' ? '+' : '-'} ${key}`)
+      )
+    ));
+    const id = `${opts.url}#${change.from.id}..${change.to.id}`;
+    const title = `${change.from.label} to ${change.to.label}: ` +
+          `${counts.added} added, ${counts.removed} removed`;
+    return `  <entry>
+    <id>${escapeXML(id)}</id>
+    <title>${escapeXML(title)}</title>
+    <updated>${new Date(change.to.timestamp).toISOString()}</updated>
+    <content type="text">${escapeXML(lines.join('\n'))}</content>
+  </entry>
+`;
+  });
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXML(opts.url)}</id>
+  <title>${escapeXML(opts.title)}</title>
+  <link rel="self" href="${escapeXML(opts.url)}"/>
+  <author><name>web-apis</name></author>
+  <updated>${new Date(updated).toISOString()}</updated>
+${entries.join('')}</feed>
+`;
+}
+
+module.exports = {categories, getReleases, getChurn, countChange, toAtom};
@@ -0,0 +1,129 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Report APIs, structures, and primitives found in an object graph. Shared
+// between analyze_og.js (in the browser) and lib/server/app.js (in NodeJS).
+
+const analysis = require('object-graph-js').analysis;
+
+// Sorted, well-formed ids in graph.
+function getIds(graph) {
+  return graph.getAllIds().filter(id => !isNaN(id)).sort();
+}
+
+// APIs are functions in graph.
+function getAPIs(graph, ids) {
+  return ids.filter(id => graph.isFunction(id))
+    .map(id => graph.getShortestKey(id)).sort();
+}
+
+// "Leaf" keys: keys that are not a prefix of any other key. Keys must be
+// sorted. Keys that a key prefixes sort immediately after it, so it is enough
+// to compare each key with the next distinct key.
+function getLeaves(keys) {
+  return keys.filter((key, i) => {
+    let next = i + 1;
+    while (next < keys.length && keys[next] === key) next++;
+    return next === keys.length || !keys[next].startsWith(key);
+  });
+}
+
+// Structs are non-function in graph. Only report "leaf structs"; they have no
+// other structs for which their key is a prefix.
+function getStructs(graph, ids) {
+  return getLeaves(ids.filter(
+    // Don't include the root in struct analysis.
+    id => id !== graph.root && !graph.isFunction(id)
+  ).map(id => graph.getShortestKey(id)).sort());
+}
+
+// Primitives are keys that refer to primitive types in graph, excluding
+// standard function properties.
+function getPrimitives(graph, ids) {
+  return ids.map(id => {
+    const prefix = graph.getShortestKey(id);
+    console.assert(graph.lookup(prefix));
+    return graph.getObjectKeys(id).filter(
+      key => graph.isType(graph.lookup(key, id))
+    ).map(key => `${prefix}.${key}`);
+  }).reduce((acc, arr) => acc.concat(arr), []).filter(key => {
+    let prefix = key.split('.');
+    const postfix = prefix[prefix.length - 1];
+    prefix = prefix.slice(0, prefix.length - 1).join('.');
+    return !graph.isFunction(graph.lookup(prefix)) ||
+      !['arguments', 'caller', 'length', 'name'].some(
+        name => name === postfix
+      );
+  }).sort();
+}
+
+// Every key path in graph: the shortest key of each object, and the shortest
+// key of each object followed by each of its own keys.
+function getKeyPaths(graph) {
+  let paths = new Set();
+  getIds(graph).forEach(id => {
+    const prefix = graph.getShortestKey(id);
+    paths.add(prefix);
+    graph.getObjectKeys(id).forEach(key => paths.add(`${prefix}.${key}`));
+  });
+  return Array.from(paths).sort();
+}
+
+// Report on a single graph: {apis, structs, primitives}.
+function getReport(graph) {
+  console.assert(graph.data[graph.root]);
+  const ids = getIds(graph);
+  return {
+    apis: getAPIs(graph, ids),
+    structs: getStructs(graph, ids),
+    primitives: getPrimitives(graph, ids),
+  };
+}
+
+// Every API, struct and primitive key in graph: {apis, structs, primitives}.
+// Unlike getReport(), structs are not limited to leaves, since structs that
+// are leaves in one graph may have children in another; callers combining
+// graphs' keys apply getLeaves() to the combined structs.
+function getKeys(graph) {
+  const ids = getIds(graph);
+  return {
+    apis: getAPIs(graph, ids),
+    structs: ids.filter(
+      id => id !== graph.root && !graph.isFunction(id)
+    ).map(id => graph.getShortestKey(id)).sort(),
+    primitives: getPrimitives(graph, ids),
+  };
+}
+
+// Perform object graph set refinement by including objects in inGraphs and
+// excluding objects in exGraphs, then report on the result.
+function intersectDifference(inGraphs, exGraphs) {
+  return getReport(analysis.intersectDifference(inGraphs, exGraphs));
+}
+
+module.exports = {
+  getIds,
+  getLeaves,
+  getAPIs,
+  getStructs,
+  getPrimitives,
+  getKeyPaths,
+  getKeys,
+  getReport,
+  intersectDifference,
+};
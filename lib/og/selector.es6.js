@@ -0,0 +1,244 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Environment selectors: pick object graph captures by browser and platform
+// name and version range; e.g.,
+//
+//     Chrome >= 53
+//     Safari on iPhone
+//     Firefox < 50 on Windows >= 10
+//     latest Chrome on Linux
+//     latest of each browser
+//     Chrome >= 53 in serviceWorker
+//     Mobile Safari >= 9 on "Chrome OS"
+//
+// Names are case-insensitive, and may be several words; e.g., "Chrome OS".
+// Multi-word names are matched against the names of known captures, or may
+// be double-quoted. Versions compare by dotted components, at the
+// precision given; e.g., "Chrome = 53" selects Chrome 53.0.2785.116, and
+// "Chrome < 53" does not. "latest" selects the highest version of each
+// selected browser. "in" selects captures of a global scope (capture key);
+// "window" captures are selected unless another scope, or "in any", is given.
+// Shared between analyze_og.js (in the browser) and lib/server/app.js (in
+// NodeJS).
+
+const version = require('../version.es6.js');
+
+const comparisons = {
+  '=': cmp => cmp === 0,
+  '==': cmp => cmp === 0,
+  '!=': cmp => cmp !== 0,
+  '<': cmp => cmp < 0,
+  '<=': cmp => cmp <= 0,
+  '>': cmp => cmp > 0,
+  '>=': cmp => cmp >= 0,
+};
+const anyBrowser = ['*', 'any', 'all'];
+const defaultScope = 'window';
+
+// Tokens are strings; quoted names keep their quotes, so that they are never
+// mistaken for keywords or operators.
+function tokenize(str) {
+  const tokens =
+        str.match(/"[^"]*"|>=|<=|!=|==|=|<|>|[^\s<>=!"]+|\S/g) || [];
+  tokens.forEach(token => {
+    if (token === '!') throw new Error(`Unexpected "!" in selector: ${str}`);
+    if (token === '"') throw new Error(`Unmatched '"' in selector: ${str}`);
+  });
+  return tokens;
+}
+
+function isQuoted(token) {
+  return token.length > 1 && token[0] === '"';
+}
+
+function unquote(token) {
+  return isQuoted(token) ? token.slice(1, -1) : token;
+}
+
+/**
+ * Parse a selector.
+ * @param {String} str - Selector; e.g., "Chrome >= 53 on Windows"
+ * @param {Array} names - Optional; known browser and platform names, which
+ *                        are matched even if they are several words
+ * @return {Object} - {latest, browser, platform, scope}, where browser and
+ *                    platform are {name, op, version}, or null to select any,
+ *                    and scope is a capture key, or null to select any; throws
+ *                    on syntax errors
+ */
+function parse(str, names) {
+  const tokens = tokenize(str);
+  const known = new Set((names || []).map(name => name.toLowerCase()));
+  let i = 0;
+  const peek = () => i < tokens.length ? tokens[i].toLowerCase() : null;
+  const isKeyword = token => token === 'on' || token === 'in';
+
+  // Read a name: the longest run of unquoted tokens that is a known name, or
+  // else a single token.
+  function readName() {
+    for (let end = tokens.length; end > i + 1; end--) {
+      const words = tokens.slice(i, end);
+      if (!words.some(isQuoted) &&
+          known.has(words.join(' ').toLowerCase())) {
+        i = end;
+        return words.join(' ');
+      }
+    }
+    return unquote(tokens[i++]);
+  }
+
+  function product() {
+    if (peek() === null || comparisons[peek()] || isKeyword(peek()))
+      throw new Error(`Expected name in selector: ${str}`);
+    const name = readName();
+    let op = null;
+    let ver = null;
+    if (comparisons[peek()]) {
+      op = tokens[i++];
+      if (peek() === null || comparisons[peek()])
+        throw new Error(`Expected version after ${op} in selector: ${str}`);
+      ver = tokens[i++];
+    } else if (peek() !== null && !isKeyword(peek())) {
+      // "Chrome 53" is "Chrome = 53".
+      op = '=';
+      ver = tokens[i++];
+    }
+    return {name, op, version: ver};
+  }
+
+  let selector = {
+    latest: false,
+    browser: null,
+    platform: null,
+    scope: defaultScope,
+  };
+  if (peek() === 'latest') {
+    selector.latest = true;
+    i++;
+    if (tokens.slice(i, i + 3).join(' ').toLowerCase() === 'of each browser')
+      i += 3;
+  }
+  if (peek() !== null && !isKeyword(peek())) {
+    selector.browser = product();
+    if (anyBrowser.indexOf(selector.browser.name.toLowerCase()) >= 0 &&
+        !selector.browser.op)
+      selector.browser = null;
+  }
+  if (peek() === 'on') {
+    i++;
+    selector.platform = product();
+  }
+  const scoped = peek() === 'in';
+  if (scoped) {
+    i++;
+    if (peek() === null || isKeyword(peek()) || comparisons[peek()])
+      throw new Error(`Expected scope in selector: ${str}`);
+    const scope = unquote(tokens[i++]);
+    selector.scope = anyBrowser.indexOf(scope.toLowerCase()) >= 0 ?
+      null : scope;
+  }
+  if (peek() !== null)
+    throw new Error(`Unexpected "${tokens[i]}" in selector: ${str}`);
+  if (!selector.latest && !selector.browser && !selector.platform && !scoped)
+    throw new Error(`Empty selector: ${str}`);
+
+  return selector;
+}
+
+function matchesProduct(product, info) {
+  if (!product) return true;
+  if (product.name.toLowerCase() !== String(info.name).toLowerCase() &&
+      anyBrowser.indexOf(product.name.toLowerCase()) < 0)
+    return false;
+  return !product.op ||
+    comparisons[product.op](version.compareTo(info.version, product.version));
+}
+
+function getScope(entry) {
+  return entry.key || defaultScope;
+}
+
+function matchesScope(scope, entry) {
+  return scope === null ||
+    scope.toLowerCase() === getScope(entry).toLowerCase();
+}
+
+/**
+ * Select captures.
+ * @param {Object} selector - Selector from parse()
+ * @param {Array} entries - Capture index entries; see CaptureStore
+ * @return {Array} - Selected entries, ordered by scope, browser name and
+ *                   version
+ */
+function select(selector, entries) {
+  const compareNames = (a, b) => a < b ? -1 : a > b ? 1 : 0;
+  const selected = entries.filter(
+    entry => matchesScope(selector.scope, entry) &&
+      matchesProduct(selector.browser, entry.environment.browser) &&
+      matchesProduct(selector.platform, entry.environment.platform)
+  ).sort((a, b) => {
+    const ab = a.environment.browser;
+    const bb = b.environment.browser;
+    return compareNames(getScope(a), getScope(b)) ||
+      compareNames(ab.name, bb.name) ||
+      version.compare(ab.version, bb.version) || a.timestamp - b.timestamp;
+  });
+  if (!selector.latest) return selected;
+
+  // Last of each browser name in each scope is its latest.
+  return selected.filter(
+    (entry, i) => i === selected.length - 1 ||
+      getScope(selected[i + 1]) !== getScope(entry) ||
+      selected[i + 1].environment.browser.name !==
+      entry.environment.browser.name
+  );
+}
+
+/**
+ * Resolve an environment reference: a capture id, a capture label, or a
+ * selector.
+ * @param {String} str - The reference
+ * @param {Array} entries - Capture index entries; see CaptureStore
+ * @return {Array} - Matching entries; throws if str is neither an id nor a
+ *                   label, and is not a valid selector of known browser and
+ *                   platform names
+ */
+function resolve(str, entries) {
+  const exact = entries.filter(
+    entry => entry.id === str || entry.label === str
+  );
+  if (exact.length > 0) return exact.slice(0, 1);
+
+  const names = {browser: new Set(), platform: new Set()};
+  entries.forEach(entry => Object.keys(names).forEach(
+    kind => names[kind].add(entry.environment[kind].name.toLowerCase())
+  ));
+  const parsed = parse(str, Array.from(names.browser).concat(
+    Array.from(names.platform)
+  ));
+  // A misspelled or misparsed name would otherwise select nothing, silently.
+  Object.keys(names).forEach(kind => {
+    const product = parsed[kind];
+    if (product && anyBrowser.indexOf(product.name.toLowerCase()) < 0 &&
+        !names[kind].has(product.name.toLowerCase()))
+      throw new Error(`Unknown ${kind} "${product.name}" in selector: ${str}`);
+  });
+  return select(parsed, entries);
+}
+
+module.exports = {parse, select, resolve};
@@ -0,0 +1,240 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Set expressions over object graphs; e.g.,
+//
+//     (Chrome_53 | Firefox_49) & Safari_602 - Edge_14
+//
+// "|" is union, "&" is intersection and "-" is difference. "&" and "-" bind
+// tighter than "|", and operators of equal precedence associate to the left.
+// Environment names are [browser]_[version]_[platform]_[platform version],
+// where all but the browser are optional and versions match by dotted prefix
+// (e.g., "53" matches "53.0.2785.116"); or a double-quoted capture id or
+// label. Names match window captures, unless prefixed by another capture key,
+// as in capture ids; e.g., "serviceWorker_Chrome_53". Shared between
+// analyze_og.js (in the browser) and lib/server/app.js (in NodeJS).
+//
+// Expressions are evaluated directly over the sets of API, struct and
+// primitive keys of each environment, so the work is linear in the size of
+// the expression.
+
+const report = require('./report.es6.js');
+const version = require('../version.es6.js');
+
+const operators = {'|': 'union', '&': 'intersection', '-': 'difference'};
+const symbols = {union: '∪', intersection: '∩', difference: '∖'};
+
+function tokenize(str) {
+  const re = /\s*(?:([()|&-])|"([^"]*)"|([A-Za-z0-9._]+)|(\S))/g;
+  let tokens = [];
+  let match;
+  while ((match = re.exec(str)) !== null && match[0] !== '') {
+    const pos = match.index + match[0].length - match[0].trim().length;
+    if (match[4] !== undefined)
+      throw new Error(`Unexpected "${match[4]}" at ${pos}`);
+    tokens.push(match[1] !== undefined ?
+                {type: match[1], pos} :
+                {type: 'name', name: match[2] !== undefined ?
+                 match[2] : match[3], pos});
+  }
+  tokens.push({type: 'end', pos: str.length});
+  return tokens;
+}
+
+/**
+ * Parse a set expression.
+ * @param {String} str - The expression
+ * @return {Object} - Expression tree of {type: "name", name} and
+ *                    {type: "union"|"intersection"|"difference", left, right}
+ *                    nodes; throws on syntax errors
+ */
+function parse(str) {
+  const tokens = tokenize(str);
+  let i = 0;
+
+  function expect(type) {
+    if (tokens[i].type !== type) {
+      const expected = type === 'name' ? 'environment' :
+            type === 'end' ? 'end of expression' : `"${type}"`;
+      throw new Error(`Expected ${expected} at ${tokens[i].pos}`);
+    }
+    return tokens[i++];
+  }
+  function primary() {
+    if (tokens[i].type === '(') {
+      i++;
+      const node = union();
+      expect(')');
+      return node;
+    }
+    return {type: 'name', name: expect('name').name};
+  }
+  function intersection() {
+    let node = primary();
+    while (tokens[i].type === '&' || tokens[i].type === '-') {
+      const type = operators[tokens[i++].type];
+      node = {type, left: node, right: primary()};
+    }
+    return node;
+  }
+  function union() {
+    let node = intersection();
+    while (tokens[i].type === '|') {
+      i++;
+      node = {type: 'union', left: node, right: intersection()};
+    }
+    return node;
+  }
+
+  const node = union();
+  expect('end');
+  return node;
+}
+
+/**
+ * Render an expression tree with set operator symbols and as few parentheses
+ * as possible.
+ * @param {Object} node - Expression tree from parse()
+ * @param {Function} nameToString - Render an environment name; e.g., as the
+ *                                  label of the capture it resolves to
+ * @return {String} - Readable expression
+ */
+function toString(node, nameToString) {
+  nameToString = nameToString || (name => name);
+  function render(node, parentType, isRight) {
+    if (node.type === 'name') return nameToString(node.name);
+
+    const str = `${render(node.left, node.type, false)} ` +
+          `${symbols[node.type]} ${render(node.right, node.type, true)}`;
+    const needsParens = parentType && (
+      (node.type === 'union' && parentType !== 'union') ||
+        (isRight && (parentType !== 'union' || node.type === 'union'))
+    );
+    return needsParens ? `(${str})` : str;
+  }
+  return render(node, null, false);
+}
+
+// Names in an expression tree, in order of first appearance.
+function getNames(node) {
+  if (node.type === 'name') return [node.name];
+  const names = getNames(node.left);
+  return names.concat(getNames(node.right).filter(
+    name => names.indexOf(name) < 0
+  ));
+}
+
+/**
+ * Resolve an environment name to a capture.
+ * @param {String} name - Name from an expression
+ * @param {Array} entries - Capture index entries; see CaptureStore
+ * @return {(Object|null)} - Entry with matching id or label; otherwise, the
+ *                           highest version of the entries matching
+ *                           [key_][browser]_[version]_[platform]_[platform
+ *                           version]
+ */
+function resolveName(name, entries) {
+  const exact = entries.filter(
+    entry => entry.id === name || entry.label === name
+  );
+  if (exact.length > 0) return exact[0];
+
+  const getKey = entry => (entry.key || 'window').toLowerCase();
+  let parts = name.split('_');
+  let key = 'window';
+  if (parts.length > 1 &&
+      entries.some(entry => getKey(entry) === parts[0].toLowerCase())) {
+    key = parts[0].toLowerCase();
+    parts = parts.slice(1);
+  }
+  const matching = entries.filter(entry => {
+    const env = entry.environment;
+    return getKey(entry) === key &&
+      env.browser.name.toLowerCase() === parts[0].toLowerCase() &&
+      (!parts[1] || version.matches(parts[1], env.browser.version)) &&
+      (!parts[2] ||
+       env.platform.name.toLowerCase() === parts[2].toLowerCase()) &&
+      (!parts[3] || version.matches(parts[3], env.platform.version));
+  }).sort(
+    (a, b) => version.compare(b.environment.browser.version,
+                              a.environment.browser.version) ||
+      b.timestamp - a.timestamp
+  );
+  return matching.length > 0 ? matching[0] : null;
+}
+
+// Keys of graph's APIs, structs and primitives, as sets.
+function getKeySets(graph) {
+  const keys = report.getKeys(graph);
+  return {
+    apis: new Set(keys.apis),
+    structs: new Set(keys.structs),
+    primitives: new Set(keys.primitives),
+  };
+}
+
+const setOperations = {
+  union: (a, b) => new Set(Array.from(a).concat(Array.from(b))),
+  intersection: (a, b) => new Set(Array.from(a).filter(key => b.has(key))),
+  difference: (a, b) => new Set(Array.from(a).filter(key => !b.has(key))),
+};
+
+/**
+ * Evaluate an expression.
+ * @param {Object} node - Expression tree from parse()
+ * @param {Function} getGraph - Get the ObjectGraph of a name in node; called
+ *                              once per name, and the graph is not retained
+ * @param {Function} onName - Optional; called as onName(done, total) after
+ *                            each name's graph is analyzed
+ * @return {Object} - {apis, structs, primitives} in the expression's set
+ */
+function evaluate(node, getGraph, onName) {
+  const names = getNames(node);
+  let keySets = new Map();
+  names.forEach((name, i) => {
+    keySets.set(name, getKeySets(getGraph(name)));
+    if (onName) onName(i + 1, names.length);
+  });
+
+  function evaluateNode(node) {
+    if (node.type === 'name') return keySets.get(node.name);
+    const left = evaluateNode(node.left);
+    const right = evaluateNode(node.right);
+    const operation = setOperations[node.type];
+    return {
+      apis: operation(left.apis, right.apis),
+      structs: operation(left.structs, right.structs),
+      primitives: operation(left.primitives, right.primitives),
+    };
+  }
+
+  const sets = evaluateNode(node);
+  return {
+    apis: Array.from(sets.apis).sort(),
+    structs: report.getLeaves(Array.from(sets.structs).sort()),
+    primitives: Array.from(sets.primitives).sort(),
+  };
+}
+
+module.exports = {
+  parse,
+  toString,
+  getNames,
+  resolveName,
+  evaluate,
+};
@@ -0,0 +1,239 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const stdlib = require('ya-stdlib-js');
+const captureStats = require('./capture_stats.es6.js');
+
+const svgNS = 'http://www.w3.org/2000/svg';
+const chart = {width: 480, height: 220, left: 64, right: 16, top: 12,
+               bottom: 28};
+
+// Get an element from the DOM.
+function e(selector) {
+  return document.querySelector(selector);
+}
+
+function ce(tagName) {
+  return document.createElement(tagName);
+}
+
+function cs(tagName, attributes) {
+  const elem = document.createElementNS(svgNS, tagName);
+  Object.keys(attributes || {}).forEach(
+    name => elem.setAttribute(name, attributes[name])
+  );
+  return elem;
+}
+
+function setStatus(str) {
+  e('#status-value').textContent = str;
+}
+
+// Distinct colors for series, by index.
+function getColor(i) {
+  return `hsl(${(i * 137) % 360}, 65%, 40%)`;
+}
+
+function formatDate(timestamp) {
+  return new Date(timestamp).toISOString().substr(0, 10);
+}
+
+function describeCapture(entry) {
+  return `${entry.label} (${formatDate(entry.timestamp)})`;
+}
+
+function getParams() {
+  let params = `groupBy=${encodeURIComponent(e('#group-by-input').value)}`;
+  const key = e('#key-input').value;
+  if (key) params += `&key=${encodeURIComponent(key)}`;
+  return params;
+}
+
+function renderLegend(series) {
+  const legend = e('#legend');
+  legend.innerHTML = '';
+  series.forEach((s, i) => {
+    const span = ce('span');
+    span.textContent = `● ${s.name}`;
+    span.style.color = getColor(i);
+    legend.appendChild(span);
+  });
+}
+
+// Render one metric as a line chart: one line per series, x by capture time
+// and y from zero to the metric's maximum.
+function renderChart(metric, series) {
+  const points = series.reduce((acc, s) => acc.concat(s.points), []);
+  const minTime = Math.min.apply(Math, points.map(p => p.entry.timestamp));
+  const maxTime = Math.max.apply(Math, points.map(p => p.entry.timestamp));
+  const maxValue = Math.max.apply(
+    Math, points.map(p => p.totals[metric.name]).concat([1])
+  );
+  const plotWidth = chart.width - chart.left - chart.right;
+  const plotHeight = chart.height - chart.top - chart.bottom;
+  const x = time => chart.left + (maxTime === minTime ? plotWidth / 2 :
+    (time - minTime) / (maxTime - minTime) * plotWidth);
+  const y = value => chart.top + plotHeight - value / maxValue * plotHeight;
+
+  const svg = cs('svg', {width: chart.width, height: chart.height});
+  const bottom = chart.top + plotHeight;
+  svg.appendChild(cs('line', {class: 'axis', x1: chart.left, y1: chart.top,
+                              x2: chart.left, y2: bottom}));
+  svg.appendChild(cs('line', {class: 'axis', x1: chart.left, y1: bottom,
+                              x2: chart.width - chart.right, y2: bottom}));
+  const labels = [
+    {x: chart.left - 4, y: chart.top + 8, anchor: 'end', text: maxValue},
+    {x: chart.left - 4, y: bottom, anchor: 'end', text: 0},
+    {x: chart.left, y: chart.height - 8, anchor: 'start',
+     text: formatDate(minTime)},
+    {x: chart.width - chart.right, y: chart.height - 8, anchor: 'end',
+     text: formatDate(maxTime)},
+  ];
+  for (const label of labels) {
+    const text = cs('text', {x: label.x, y: label.y,
+                             'text-anchor': label.anchor});
+    text.textContent = label.text;
+    svg.appendChild(text);
+  }
+
+  series.forEach((s, i) => {
+    const color = getColor(i);
+    svg.appendChild(cs('polyline', {
+      fill: 'none',
+      stroke: color,
+      points: s.points.map(
+        p => `${x(p.entry.timestamp)},${y(p.totals[metric.name])}`
+      ).join(' '),
+    }));
+    for (const p of s.points) {
+      const circle = cs('circle', {
+        cx: x(p.entry.timestamp),
+        cy: y(p.totals[metric.name]),
+        r: 3,
+        fill: color,
+      });
+      const title = cs('title');
+      title.textContent =
+        `${describeCapture(p.entry)}: ${p.totals[metric.name]}`;
+      circle.appendChild(title);
+      svg.appendChild(circle);
+    }
+  });
+
+  const figure = ce('figure');
+  const caption = ce('figcaption');
+  caption.textContent = metric.title;
+  figure.appendChild(caption);
+  figure.appendChild(svg);
+  return figure;
+}
+
+function renderKeys(kind, change) {
+  const ul = ce('ul');
+  ul.className = kind;
+  for (const key of change[kind]) {
+    const li = ce('li');
+    li.textContent = `${kind === 'added' ? '+' : '-'} ${key}`;
+    ul.appendChild(li);
+  }
+  return ul;
+}
+
+// Render global key changes of every series, newest capture first.
+function renderChanges(series) {
+  const container = e('#changes');
+  container.innerHTML = '';
+
+  const changes = series.reduce((acc, s) => acc.concat(s.changes), [])
+    .sort((a, b) => b.to.timestamp - a.to.timestamp);
+  for (const change of changes) {
+    const section = ce('section');
+    const h = ce('h3');
+    h.textContent = `${describeCapture(change.from)} to ` +
+      `${describeCapture(change.to)}: ` +
+      `${change.added.length} added, ${change.removed.length} removed`;
+    section.appendChild(h);
+    section.appendChild(renderKeys('added', change));
+    section.appendChild(renderKeys('removed', change));
+    container.appendChild(section);
+  }
+  return changes.length;
+}
+
+function render(series) {
+  renderLegend(series);
+  const charts = e('#charts');
+  charts.innerHTML = '';
+  if (series.length > 0) {
+    for (const metric of captureStats.metrics) {
+      charts.appendChild(renderChart(metric, series));
+    }
+  }
+  return renderChanges(series);
+}
+
+function updateHash() {
+  window.location.hash = `k=${encodeURIComponent(e('#key-input').value)}` +
+    `&g=${encodeURIComponent(e('#group-by-input').value)}`;
+}
+
+function loadFromHash() {
+  const key = window.location.hash.match(/[#&]k=([^&]*)/);
+  const groupBy = window.location.hash.match(/[#&]g=([^&]*)/);
+  if (key) e('#key-input').value = decodeURIComponent(key[1]);
+  if (groupBy) e('#group-by-input').value = decodeURIComponent(groupBy[1]);
+}
+
+// Latest request parameters; responses for older requests are dropped.
+let current = null;
+
+function analyze() {
+  const params = current = getParams();
+  setStatus('Loading');
+  stdlib.xhr(`/api/og/stats?${params}`, {responseType: 'json'}).then(
+    stats => {
+      if (params !== current) return;
+      if (!stats || stats.error) {
+        setStatus(`Error: ${stats ? stats.error : 'No response'}`);
+        return;
+      }
+      const count = render(stats.series);
+      setStatus(`${stats.series.length} series, ${count} changes`);
+    },
+    err => setStatus(`Error: ${err}`)
+  );
+}
+
+// Offer global scopes of known captures.
+stdlib.xhr('/list/og', {responseType: 'json'}).then(entries => {
+  const keys = new Set((entries || []).map(entry => entry.key));
+  const datalist = e('#key-names');
+  for (const key of Array.from(keys).sort()) {
+    const opt = ce('option');
+    opt.value = key;
+    datalist.appendChild(opt);
+  }
+});
+
+e('#analyze').addEventListener('click', () => {
+  updateHash();
+  analyze();
+});
+
+loadFromHash();
+analyze();
@@ -0,0 +1,168 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Structural validation of JSONified ObjectGraph data, as produced by
+// ObjectGraph.prototype.toJSON() in object-graph-js.
+
+// Stop collecting errors after this many; a truncated or corrupt capture can
+// otherwise yield one error per id.
+const maxErrors = 100;
+
+// Keys are global scopes or key paths from a capture root (e.g., "window" or
+// "window.navigator"); they name capture files, so must not name paths.
+const keyPattern = /^[A-Za-z_$][\w$.]*$/;
+
+// Browser and platform names and versions in a recorded environment (e.g.,
+// "jsdom" and "9.8.3"); they name capture files and label environments.
+const environmentPattern = /^([A-Za-z0-9][A-Za-z0-9 .+-]{0,63})?$/;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isProductInfo(value) {
+  return isObject(value) && ['name', 'version'].every(
+    name => typeof value[name] === 'string' &&
+      environmentPattern.test(value[name])
+  );
+}
+
+function isId(value) {
+  return typeof value === 'number' && Math.floor(value) === value;
+}
+
+// Whether an object key is the string form of an id.
+function isIdKey(key) {
+  return isId(Number(key)) && String(Number(key)) === key;
+}
+
+function has(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Validate JSONified ObjectGraph data.
+ * @param {*} data - Data to validate
+ * @return {Array} - Error message strings; empty if data is valid
+ */
+function validate(data) {
+  let errors = [];
+  function error(msg) {
+    if (errors.length < maxErrors) errors.push(msg);
+    else if (errors.length === maxErrors) errors.push('Too many errors');
+  }
+
+  if (!isObject(data)) {
+    error('Expected object graph to be an object');
+    return errors;
+  }
+
+  if (!isId(data.root)) error('Expected "root" to be a numeric id');
+  ['data', 'protos', 'types', 'metadata'].forEach(name => {
+    if (!isObject(data[name])) error(`Expected "${name}" to be an object`);
+  });
+  if (!Array.isArray(data.functions))
+    error('Expected "functions" to be an array');
+  if (data.key !== undefined &&
+      (typeof data.key !== 'string' || !keyPattern.test(data.key) ||
+       data.key.indexOf('..') >= 0))
+    error('Expected "key" to be a global scope or key path; e.g., "window"');
+  if (data.timestamp !== undefined && typeof data.timestamp !== 'number')
+    error('Expected "timestamp" to be a number');
+  if (data.userAgent !== undefined && typeof data.userAgent !== 'string')
+    error('Expected "userAgent" to be a string');
+  if (data.environment !== undefined &&
+      !(isObject(data.environment) &&
+        isProductInfo(data.environment.browser) &&
+        isProductInfo(data.environment.platform)))
+    error('Expected "environment" to be {browser, platform}, each with ' +
+          'alphanumeric {name, version}');
+  if (data.settings !== undefined && !isObject(data.settings))
+    error('Expected "settings" to be an object');
+  if (data.signatures !== undefined && !isObject(data.signatures))
+    error('Expected "signatures" to be an object');
+  if (errors.length > 0) return errors;
+
+  // Object ids are keys of "data"; primitive type ids are values of "types".
+  let ids = new Set();
+  Object.getOwnPropertyNames(data.data).forEach(id => {
+    if (isIdKey(id)) ids.add(Number(id));
+    else error(`data (key ${id}): Expected numeric id`);
+  });
+  Object.getOwnPropertyNames(data.types).forEach(name => {
+    const id = data.types[name];
+    if (isId(id)) ids.add(id);
+    else error(`types.${name}: Expected numeric id, got ${id}`);
+  });
+
+  function checkId(id, where) {
+    if (!isId(id)) error(`${where}: Expected numeric id, got ${id}`);
+    else if (!ids.has(id)) error(`${where}: Unknown id ${id}`);
+  }
+
+  if (!has(data.data, data.root))
+    error(`root: No data for root id ${data.root}`);
+
+  Object.getOwnPropertyNames(data.data).forEach(id => {
+    const keys = data.data[id];
+    if (!isObject(keys)) {
+      error(`data.${id}: Expected object`);
+      return;
+    }
+    Object.getOwnPropertyNames(keys).forEach(
+      key => checkId(keys[key], `data.${id}.${key}`)
+    );
+  });
+
+  Object.getOwnPropertyNames(data.protos).forEach(id => {
+    checkId(Number(id), `protos (key ${id})`);
+    checkId(data.protos[id], `protos.${id}`);
+  });
+
+  data.functions.forEach((id, i) => checkId(id, `functions[${i}]`));
+
+  // Signatures are {length, name, native}; length and name are optional.
+  const functions = new Set(data.functions);
+  Object.getOwnPropertyNames(data.signatures || {}).forEach(id => {
+    const signature = data.signatures[id];
+    if (!functions.has(Number(id)))
+      error(`signatures (key ${id}): Expected function id`);
+    if (!isObject(signature) || typeof signature.native !== 'boolean' ||
+        (signature.length !== undefined &&
+         typeof signature.length !== 'number') ||
+        (signature.name !== undefined && typeof signature.name !== 'string'))
+      error(`signatures.${id}: Expected {length, name, native}`);
+  });
+
+  Object.getOwnPropertyNames(data.metadata).forEach(id => {
+    checkId(Number(id), `metadata (key ${id})`);
+    const descriptors = data.metadata[id];
+    if (!isObject(descriptors)) {
+      error(`metadata.${id}: Expected object`);
+      return;
+    }
+    Object.getOwnPropertyNames(descriptors).forEach(key => {
+      if (!isObject(descriptors[key]))
+        error(`metadata.${id}.${key}: Expected property descriptor object`);
+    });
+  });
+
+  return errors;
+}
+
+module.exports = validate;
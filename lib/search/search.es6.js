@@ -0,0 +1,111 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const stdlib = require('ya-stdlib-js');
+
+// Get an element from the DOM.
+function e(selector) {
+  return document.querySelector(selector);
+}
+
+function ce(tagName) {
+  return document.createElement(tagName);
+}
+
+function setStatus(str) {
+  e('#status-value').textContent = str;
+}
+
+// Add a row for one search source to a <tbody>.
+function addRow(tbody, label, result) {
+  const tr = ce('tr');
+  const labelTd = ce('td');
+  const presentTd = ce('td');
+  const matchesTd = ce('td');
+
+  labelTd.textContent = label;
+  presentTd.textContent = result.processing ? 'Processing' :
+    result.present ? 'Yes' : 'No';
+  presentTd.className = result.present ? 'present' : 'absent';
+  matchesTd.className = 'matches';
+  matchesTd.textContent = result.matches.join('\n') +
+    (result.count > result.matches.length ?
+     `\n(${result.count - result.matches.length} more)` : '');
+
+  tr.appendChild(labelTd);
+  tr.appendChild(presentTd);
+  tr.appendChild(matchesTd);
+  tbody.appendChild(tr);
+}
+
+function render(results) {
+  const ogE = e('#og-results');
+  const idlE = e('#idl-results');
+  ogE.innerHTML = idlE.innerHTML = '';
+
+  for (const result of results.og) {
+    addRow(ogE, `${result.label} (${result.key})`, result);
+  }
+  for (const result of results.idl) {
+    addRow(idlE, result.name, result);
+  }
+}
+
+function updateHash() {
+  window.location.hash = 'q=' + encodeURIComponent(e('#query').value) +
+    '&re=' + (e('#regexp').checked ? '1' : '0');
+}
+
+function loadFromHash() {
+  const hash = window.location.hash;
+  if (!hash) return false;
+
+  const q = hash.match(/q=([^&]*)/);
+  const re = hash.match(/re=([^&]*)/);
+  e('#query').value = q ? decodeURIComponent(q[1]) : '';
+  e('#regexp').checked = !!re && re[1] === '1';
+
+  return true;
+}
+
+function search() {
+  const query = e('#query').value;
+  if (!query) return;
+
+  updateHash();
+  setStatus('Searching');
+  e('#og-results').innerHTML = e('#idl-results').innerHTML = '';
+
+  const url = '/api/search?q=' + encodeURIComponent(query) +
+    '&regexp=' + e('#regexp').checked;
+  stdlib.xhr(url, {responseType: 'json'}).then(results => {
+    if (!results || results.error) {
+      setStatus(`Error: ${results ? results.error : 'No response'}`);
+      return;
+    }
+    render(results);
+    setStatus('Idle');
+  }, err => setStatus(`Error: ${err}`));
+}
+
+e('#go').addEventListener('click', search);
+e('#query').addEventListener('keyup', evt => {
+  if (evt.keyCode === 13) search();
+});
+
+if (loadFromHash()) search();
@@ -0,0 +1,1011 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Web APIs express app. Every app created by createApp() serves its own data
+// directory, so several datasets can be served side by side, and routes can
+// be exercised in-process without listening on a port. See main/serve.js for
+// the command line entry point.
+
+var express = require('express');
+var bodyParser = require('body-parser');
+var path = require('path');
+var jsonStableStringify = require('json-stable-stringify');
+var timeout = require('connect-timeout');
+
+var jsonStableStringifyConfig = {
+  space: '  ',
+  cmp: function(a, b) {
+    return a.key < b.key ? -1 : 1;
+  },
+};
+function stringify(data) {
+  return jsonStableStringify(data, jsonStableStringifyConfig);
+}
+
+var ObjectGraphCache = require('./og_cache.es6.js');
+var CaptureStore = require('./og_store.es6.js');
+var IDLCache = require('./idl_cache.es6.js');
+var SearchIndex = require('./search_index.es6.js');
+var QueryStore = require('./query_store.es6.js');
+var ogFormat = require('./og_format.es6.js');
+var idlAnalysis = require('../idl/idl_analysis.es6.js');
+var idlCheckers = require('../idl/idl_checkers.es6.js');
+var serialize = require('simple-serialization');
+var ast = require('webidl2-js').ast;
+var report = require('../og/report.es6.js');
+var interfaceMatrix = require('../og/interface_matrix.es6.js');
+var releaseChurn = require('../og/release_churn.es6.js');
+var captureStats = require('../og/capture_stats.es6.js');
+var descriptorDivergence = require('../og/descriptor_divergence.es6.js');
+var protoChains = require('../og/proto_chains.es6.js');
+var setExpression = require('../og/set_expression.es6.js');
+var apiSupport = require('../og/api_support.es6.js');
+var functionSignatures = require('../og/function_signatures.es6.js');
+var objectIdentity = require('../og/object_identity.es6.js');
+var selector = require('../og/selector.es6.js');
+var exporter = require('../export.es6.js');
+var validateOG = require('../og/validate.es6.js');
+var html = require('../web/html-entities.es6.js');
+
+var DEFAULT_DATA_DIR = path.resolve(__dirname, '../../data');
+var DEFAULT_STATIC_DIR = path.resolve(__dirname, '../../static');
+
+var HTML_HEAD = '<html><head>' +
+      '<meta name="viewport" content="width=500, initial-scale=1">' +
+      '</head><body>';
+var HTML_FOOT = '</body></html>';
+
+/**
+ * Respond to request with JSON data.
+ * @param {Object} data - The data to send
+ * @param {Response} res - The express response object for server request
+ */
+function sendJSON(data, res) {
+  var str = (typeof data === 'string' || data instanceof Buffer) ?
+        stringify(JSON.parse(data)) :
+        stringify(data);
+  res.setHeader('Content-Type', 'application/json');
+  res.send(str);
+}
+
+/**
+ * Respond to request with HTML data.
+ * @param {String} str - The HTML to send
+ * @param {Response} res - The express response object for server request
+ */
+function sendHTML(str, res) {
+  res.send(HTML_HEAD + str + HTML_FOOT);
+}
+
+/**
+ * Respond to request with a JSON error.
+ * @param {Number} status - The HTTP status code
+ * @param {String} message - Description of the error
+ * @param {Response} res - The express response object for server request
+ */
+function sendJSONError(status, message, res) {
+  res.status(status);
+  sendJSON({error: message}, res);
+}
+
+/**
+ * Respond that an IDL collection is being processed; clients should retry.
+ * @param {Error} err - IDLCache.ProcessingError from IDLCache.prototype.get()
+ * @param {Response} res - The express response object for server request
+ */
+function sendProcessing(err, res) {
+  res.status(202);
+  sendJSON({processing: true, message: err.message}, res);
+}
+
+/**
+ * Deserialize processed IDL.
+ * @param {String} str - Processed IDL collection in a JSON string
+ * @return {Array} - IDL parses
+ */
+function idlFromString(str) {
+  return serialize.JSON.fromJSON(JSON.parse(str), ast.registry);
+}
+
+/**
+ * Respond to request with an export from lib/export.es6.js.
+ * @param {Object} exported - {body, contentType, extension}
+ * @param {String} baseName - Base name of the downloaded file
+ * @param {Response} res - The express response object for server request
+ */
+function sendExport(exported, baseName, res) {
+  res.setHeader('Content-Type', exported.contentType);
+  res.setHeader('Content-Disposition', 'attachment; filename="' + baseName +
+                '.' + exported.extension + '"');
+  res.send(exported.body);
+}
+
+/**
+ * Describe an object graph capture index entry to clients.
+ * @param {Object} entry - Index entry from CaptureStore
+ * @return {Object} - Public capture info, including a data URL
+ */
+function describeOGEntry(entry) {
+  return {
+    id: entry.id,
+    key: entry.key,
+    environment: entry.environment,
+    label: entry.label,
+    timestamp: entry.timestamp,
+    userAgent: entry.userAgent,
+    counts: entry.counts,
+    latest: entry.latest,
+    url: '/data/og/id/' + encodeURIComponent(entry.id),
+  };
+}
+
+/**
+ * Normalize an express query parameter to an array of strings.
+ * @param {(undefined|String|Array)} value - The query parameter value
+ * @return {Array} - The parameter values
+ */
+function getQueryList(value) {
+  if (value === undefined) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Get the regular expression in a request's ?filter=[regexp].
+ * @param {Request} req - The express request
+ * @param {Response} res - The express response; receives an error if the
+ *                         filter is invalid, or is rejected by
+ *                         SearchIndex.checkRegExp()
+ * @return {(RegExp|null)} - The filter, or null on error
+ */
+function getFilter(req, res) {
+  // Filters are user input; reject those that could take very long to match.
+  var source = String(req.query.filter || '');
+  var error = SearchIndex.checkRegExp(source);
+  if (error !== null) {
+    sendJSONError(400, 'Invalid filter: ' + error, res);
+    return null;
+  }
+  return new RegExp(source);
+}
+
+/**
+ * Filter an object graph report.
+ * @param {Object} result - {apis, structs, primitives}
+ * @param {RegExp} filter - Keys to keep
+ * @return {Object} - result, with keys that do not match filter removed
+ */
+function filterReport(result, filter) {
+  ['apis', 'structs', 'primitives'].forEach(function(name) {
+    result[name] = result[name].filter(function(key) {
+      return filter.test(key);
+    });
+  });
+  return result;
+}
+
+/**
+ * Create the express app. The app is not listening; call app.listen() or pass
+ * it to http.createServer().
+ * @param {Object} opts - {dataDir, staticDir, ogFormat}: Directory
+ *                        containing og/ and idl/ data, directory of static
+ *                        files, and format in which to save new captures;
+ *                        default to data/, static/ in this repository, and
+ *                        "json"
+ * @return {Function} - The express app
+ */
+function createApp(opts) {
+  opts = opts || {};
+  var app = express();
+  var dataDir = opts.dataDir || DEFAULT_DATA_DIR;
+  var staticDir = opts.staticDir || DEFAULT_STATIC_DIR;
+  var ogCache = new ObjectGraphCache();
+  var ogStore = new CaptureStore({
+    ogDir: path.join(dataDir, 'og'),
+    format: opts.ogFormat,
+  });
+  var idlCache = new IDLCache({idlDir: path.join(dataDir, 'idl')});
+  var queryStore = new QueryStore({path: path.join(dataDir, 'queries.json')});
+  var searchIndex = new SearchIndex({
+    ogStore: ogStore,
+    ogCache: ogCache,
+    idlCache: idlCache,
+  });
+
+  app.use(bodyParser.urlencoded({extended: false, limit: '500mb'}));
+
+  app.use(express.static(staticDir));
+
+  // Load the object graph of a capture index entry.
+  function getGraph(entry) {
+    return ogCache.get(ogStore.getPath(entry));
+  }
+
+  /**
+   * Resolve environment references: capture ids, or labels or selectors
+   * (e.g., "Chrome >= 53"; see lib/og/selector.es6.js) that resolve against
+   * the latest capture of every environment.
+   * @param {Array} refs - Environment references
+   * @param {Response} res - The express response; receives an error if a
+   *                         reference is invalid or matches no capture
+   * @return {(Array|null)} - Index entries, or null on error
+   */
+  function resolveEnvironments(refs, res) {
+    var listed = null;
+    var entries = [];
+    for (var i = 0; i < refs.length; i++) {
+      var entry = ogStore.get(refs[i]);
+      if (entry !== null) {
+        entries.push(entry);
+        continue;
+      }
+
+      listed = listed || ogStore.list();
+      var selected;
+      try {
+        selected = selector.resolve(refs[i], listed);
+      } catch (err) {
+        sendJSONError(400, err.message, res);
+        return null;
+      }
+      if (selected.length === 0) {
+        sendJSONError(404, 'No capture matches ' + refs[i], res);
+        return null;
+      }
+      entries = entries.concat(selected);
+    }
+    return entries;
+  }
+
+  /**
+   * Get capture entries for a request with ?id=[ref]&id=[ref]..., where refs
+   * are as in resolveEnvironments(), or the latest capture of every
+   * environment if no refs are given.
+   * @param {Request} req - The express request
+   * @param {Response} res - The express response; receives an error if a
+   *                         reference cannot be resolved
+   * @return {(Array|null)} - Index entries, or null on error
+   */
+  function getRequestedEntries(req, res) {
+    var refs = getQueryList(req.query.id);
+    return refs.length === 0 ? ogStore.list() :
+      resolveEnvironments(refs, res);
+  }
+
+  // Save captures submitted by index.html: one "data" field per captured
+  // global scope. Nothing is saved unless every capture is valid.
+  app.post('/save', timeout('30s'), function(req, res) {
+    if (!(req.body && req.body.data)) {
+      sendHTML('No data saved: No data found.', res);
+      return;
+    }
+
+    var datas = [];
+    var strs = [].concat(req.body.data);
+    for (var i = 0; i < strs.length; i++) {
+      var data;
+      try {
+        data = JSON.parse(strs[i]);
+      } catch (err) {
+        sendHTML('No data saved: Malformed JSON: ' +
+                 html.toHTMLContentString(err.message), res);
+        return;
+      }
+
+      var errors = validateOG(data);
+      if (errors.length > 0) {
+        var key = data && typeof data.key === 'string' ? ' ' + data.key : '';
+        sendHTML('No data saved: Invalid object graph' +
+                 html.toHTMLContentString(key) + ':<pre>' +
+                 html.toHTMLContentString(errors.join('\n')) + '</pre>', res);
+        return;
+      }
+      datas.push(data);
+    }
+
+    try {
+      var ids = datas.map(function(data) {
+        return ogStore.save(data, req.headers['user-agent']).id;
+      });
+      sendHTML('Saved data as ' + ids.join(', '), res);
+    } catch (err) {
+      console.error(err);
+      sendHTML('Error: ' + err.toString(), res);
+    }
+  });
+
+  // Upload an object graph as JSON; e.g.,
+  //
+  //     curl -H 'Content-Type: application/json' -H 'Content-Encoding: gzip' \
+  //         --data-binary @capture.json.gz localhost:8000/api/og/upload
+  //
+  // Bodies compressed with gzip or deflate are inflated. Responds with the
+  // index entry of the stored capture, or {error, errors} describing why the
+  // data was rejected.
+  app.post(
+    '/api/og/upload',
+    timeout('120s'),
+    bodyParser.json({limit: '500mb'}),
+    function(req, res) {
+      var errors = validateOG(req.body);
+      if (errors.length > 0) {
+        res.status(400);
+        sendJSON({error: 'Invalid object graph', errors: errors}, res);
+        return;
+      }
+
+      try {
+        var entry = ogStore.save(req.body, req.headers['user-agent']);
+        res.status(201);
+        sendJSON(describeOGEntry(entry), res);
+      } catch (err) {
+        console.error(err);
+        sendJSONError(500, 'Error saving data: ' + err.toString(), res);
+      }
+    }
+  );
+
+  // Report body parsing failures (e.g., truncated JSON or bad compression) from
+  // /api/og/upload as JSON.
+  app.use('/api/og/upload', function(err, req, res, next) {
+    sendJSONError(err.status || 500, err.message, res);
+  });
+
+  // List object graph captures. By default, only the latest capture of each
+  // environment is listed; with ?revisions=true, every capture is listed.
+  app.get('/list/og', function(req, res) {
+    ogStore.refresh();
+    sendJSON(ogStore.list({revisions: req.query.revisions === 'true'})
+             .map(describeOGEntry), res);
+  });
+
+  app.get('/data/og/id/:id', function(req, res) {
+    var entry = ogStore.get(req.params.id);
+    if (entry === null) sendJSON(null, res);
+    else sendJSON(ogFormat.read(ogStore.getPath(entry)), res);
+  });
+
+  // All revisions of the environment captured in /data/og/id/:id.
+  app.get('/history/og/:id', function(req, res) {
+    var entry = ogStore.get(req.params.id);
+    if (entry === null) {
+      sendJSONError(404, 'No capture with id ' + req.params.id, res);
+      return;
+    }
+
+    sendJSON(ogStore.getRevisions(entry).map(describeOGEntry), res);
+  });
+
+  // Object graph set refinement; e.g.,
+  // /api/og/query?include=[id]&include=[id]&exclude=[id][&filter=[regexp]]
+  // Capture ids are those returned by /list/og; selectors, such as
+  // include=Chrome >= 53, include or exclude every matching environment (see
+  // resolveEnvironments()). Responds with the APIs, structs, and primitives
+  // in the intersection of included graphs, minus the union of excluded
+  // graphs, that match filter. With &format=(csv|md|json), responds with an
+  // export of the results and configuration instead.
+  app.get('/api/og/query', timeout('120s'), function(req, res) {
+    var include = getQueryList(req.query.include);
+    var exclude = getQueryList(req.query.exclude);
+    if (req.query.format && !exporter.formats[req.query.format]) {
+      sendJSONError(400, 'Unknown export format: ' + req.query.format, res);
+      return;
+    }
+    if (include.length === 0) {
+      sendJSONError(400, 'At least one included environment is required', res);
+      return;
+    }
+
+    var includeEntries = resolveEnvironments(include, res);
+    if (includeEntries === null) return;
+    var excludeEntries = resolveEnvironments(exclude, res);
+    if (excludeEntries === null) return;
+
+    var graphs;
+    try {
+      graphs = includeEntries.concat(excludeEntries).map(getGraph);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error loading data: ' + err.toString(), res);
+      return;
+    }
+
+    var filter = getFilter(req, res);
+    if (filter === null) return;
+
+    var result = filterReport(report.intersectDifference(
+      graphs.slice(0, includeEntries.length),
+      graphs.slice(includeEntries.length)
+    ), filter);
+
+    if (req.query.format) {
+      sendExport(exporter.exportOG(result, {
+        include: include,
+        exclude: exclude,
+        filter: req.query.filter || '',
+      }, req.query.format), 'og_analysis', res);
+      return;
+    }
+
+    sendJSON({
+      include: include,
+      exclude: exclude,
+      apis: result.apis,
+      structs: result.structs,
+      primitives: result.primitives,
+    }, res);
+  });
+
+  // Object graph set expression; e.g.,
+  // /api/og/expression?expr=(Chrome_53 | Firefox_49) %26 Safari_602 - Edge_14
+  // [&filter=[regexp]]
+  // See lib/og/set_expression.es6.js for syntax; environment names resolve
+  // against the latest capture of every environment. Responds with the
+  // resolved environments, a readable rendering of the expression, and the
+  // APIs, structs, and primitives in the expression's set that match filter,
+  // or with an export with &format=(csv|md|json).
+  app.get('/api/og/expression', timeout('300s'), function(req, res) {
+    if (req.query.format && !exporter.formats[req.query.format]) {
+      sendJSONError(400, 'Unknown export format: ' + req.query.format, res);
+      return;
+    }
+
+    var expression;
+    try {
+      expression = setExpression.parse(req.query.expr || '');
+    } catch (err) {
+      sendJSONError(400, 'Invalid expression: ' + err.message, res);
+      return;
+    }
+
+    var filter = getFilter(req, res);
+    if (filter === null) return;
+
+    ogStore.refresh();
+    var listed = ogStore.list();
+    var environments = {};
+    var names = setExpression.getNames(expression);
+    for (var i = 0; i < names.length; i++) {
+      var entry = setExpression.resolveName(names[i], listed);
+      if (entry === null) {
+        sendJSONError(404, 'No environment matches ' + names[i], res);
+        return;
+      }
+      environments[names[i]] = entry;
+    }
+    var rendering = setExpression.toString(expression, function(name) {
+      return environments[name].label;
+    });
+
+    var result;
+    try {
+      result = filterReport(setExpression.evaluate(expression, function(name) {
+        return getGraph(environments[name]);
+      }), filter);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error evaluating expression: ' + err.toString(),
+                    res);
+      return;
+    }
+
+    if (req.query.format) {
+      sendExport(exporter.exportOG(result, {
+        expression: rendering,
+        filter: req.query.filter || '',
+      }, req.query.format), 'og_analysis', res);
+      return;
+    }
+
+    sendJSON({
+      expression: req.query.expr,
+      rendering: rendering,
+      environments: names.map(function(name) {
+        return Object.assign({name: name},
+                             describeOGEntry(environments[name]));
+      }),
+      apis: result.apis,
+      structs: result.structs,
+      primitives: result.primitives,
+    }, res);
+  });
+
+  // Compatibility matrix of an interface's members; e.g.,
+  // /api/og/interface?name=HTMLElement[&id=[id]&id=[id]...]
+  // Columns are the given capture ids, or the latest capture of every
+  // environment if no ids are given.
+  app.get('/api/og/interface', timeout('300s'), function(req, res) {
+    var name = req.query.name;
+    if (!name) {
+      sendJSONError(400, 'Missing interface name', res);
+      return;
+    }
+
+    var entries = getRequestedEntries(req, res);
+    if (entries === null) return;
+
+    try {
+      // Graphs are loaded one at a time; only the interface's members are
+      // kept.
+      var matrix = interfaceMatrix.getInterfaceMatrix(
+        entries.map(function(entry) {
+          return interfaceMatrix.getInterfaceMembers(getGraph(entry), name);
+        }),
+        name
+      );
+      matrix.environments = entries.map(describeOGEntry);
+      sendJSON(matrix, res);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error computing matrix: ' + err.toString(), res);
+    }
+  });
+
+  // Members whose property descriptors differ between captures, grouped by
+  // interface; e.g., /api/og/descriptors?id=[id]&id=[id][&filter=[regexp]]
+  // Compares the latest capture of every environment if no ids are given.
+  // Only interfaces whose names match filter are compared.
+  app.get('/api/og/descriptors', timeout('300s'), function(req, res) {
+    var entries = getRequestedEntries(req, res);
+    if (entries === null) return;
+
+    var filter = getFilter(req, res);
+    if (filter === null) return;
+
+    try {
+      sendJSON({
+        environments: entries.map(describeOGEntry),
+        // Graphs are loaded one at a time; only member descriptions of
+        // matching interfaces are kept.
+        interfaces: descriptorDivergence.getDivergence(
+          entries.map(function(entry) {
+            return descriptorDivergence.getInterfaceDescriptions(
+              getGraph(entry), filter
+            );
+          })
+        ),
+      }, res);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error comparing descriptors: ' + err.toString(),
+                    res);
+    }
+  });
+
+  // Prototype chains of interface prototypes, compared between captures; e.g.,
+  // /api/og/protos?id=[id]&id=[id][&filter=[regexp]][&all=true]
+  // Compares the latest capture of every environment if no ids are given.
+  // Only interfaces whose chains disagree are listed, unless all=true.
+  app.get('/api/og/protos', timeout('300s'), function(req, res) {
+    var entries = getRequestedEntries(req, res);
+    if (entries === null) return;
+
+    var filter = getFilter(req, res);
+    if (filter === null) return;
+
+    try {
+      sendJSON({
+        environments: entries.map(describeOGEntry),
+        // Graphs are loaded one at a time; only chains of matching
+        // interfaces are kept.
+        interfaces: protoChains.compareInterfaceChains(
+          entries.map(function(entry) {
+            return protoChains.getInterfaceChains(getGraph(entry), filter);
+          }),
+          {all: req.query.all === 'true'}
+        ),
+      }, res);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error comparing prototype chains: ' +
+                    err.toString(), res);
+    }
+  });
+
+  // Quorum analysis: how many, and which, captures have each API, struct and
+  // primitive; e.g., /api/og/quorum?id=[id]&id=[id][&min=[N]][&filter=[regexp]]
+  // Counts over the latest capture of every environment if no ids are given.
+  // Only keys in at least min captures that match filter are listed, sorted
+  // by descending support.
+  app.get('/api/og/quorum', timeout('300s'), function(req, res) {
+    var entries = getRequestedEntries(req, res);
+    if (entries === null) return;
+
+    var filter = getFilter(req, res);
+    if (filter === null) return;
+
+    var min = req.query.min ? parseInt(req.query.min, 10) : 1;
+    if (isNaN(min) || min < 1) {
+      sendJSONError(400, 'Invalid minimum: ' + req.query.min, res);
+      return;
+    }
+
+    try {
+      // Graphs are loaded one at a time; only their keys are kept.
+      var support = apiSupport.getSupport(entries.map(function(entry) {
+        return report.getKeys(getGraph(entry));
+      }), min);
+      apiSupport.categories.forEach(function(category) {
+        support[category] = support[category].filter(function(row) {
+          return filter.test(row.key);
+        });
+      });
+      sendJSON(Object.assign({
+        environments: entries.map(describeOGEntry),
+        min: min,
+      }, support), res);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error counting support: ' + err.toString(), res);
+    }
+  });
+
+  // Functions whose length differs between captures, or that are not native
+  // in some capture; e.g., /api/og/functions?id=[id]&id=[id][&filter=[regexp]]
+  // Compares the latest capture of every environment if no ids are given.
+  // Only captures that record function signatures contribute.
+  app.get('/api/og/functions', timeout('300s'), function(req, res) {
+    var entries = getRequestedEntries(req, res);
+    if (entries === null) return;
+
+    var filter = getFilter(req, res);
+    if (filter === null) return;
+
+    try {
+      sendJSON({
+        environments: entries.map(describeOGEntry),
+        // Graphs are loaded one at a time; only their signatures are kept.
+        functions: functionSignatures.compareSignatures(
+          entries.map(function(entry) {
+            return functionSignatures.getSignaturesByKey(
+              getGraph(entry),
+              ogCache.getSignatures(ogStore.getPath(entry))
+            );
+          }),
+          filter
+        ),
+      }, res);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error comparing functions: ' + err.toString(), res);
+    }
+  });
+
+  // Objects reachable through several paths and functions shared between
+  // interfaces in each capture, and paths whose aliases differ between
+  // captures; e.g., /api/og/aliases?id=[id]&id=[id][&filter=[regexp]]
+  // Compares the latest capture of every environment if no ids are given.
+  app.get('/api/og/aliases', timeout('300s'), function(req, res) {
+    var entries = getRequestedEntries(req, res);
+    if (entries === null) return;
+
+    var filter = getFilter(req, res);
+    if (filter === null) return;
+    function matches(item) {
+      return !filter || item.paths.some(function(path) {
+        return filter.test(path);
+      });
+    }
+
+    try {
+      // Graphs are loaded one at a time (twice, if evicted from ogCache);
+      // only their aliases and the presence of aliased paths are kept.
+      var environments = [];
+      var byPath = entries.map(function(entry) {
+        var aliases = objectIdentity.getAliases(getGraph(entry));
+        environments.push(Object.assign(describeOGEntry(entry), {
+          aliases: aliases.filter(matches),
+          sharedFunctions: objectIdentity.getSharedFunctions(aliases)
+            .filter(matches),
+        }));
+        return objectIdentity.getAliasesByPath(aliases);
+      });
+      var paths = objectIdentity.getAliasedPaths(byPath);
+      var present = entries.map(function(entry) {
+        return objectIdentity.getPresentPaths(getGraph(entry), paths);
+      });
+      sendJSON({
+        environments: environments,
+        differences: objectIdentity.compareAliases(byPath, present, filter),
+      }, res);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error comparing aliases: ' + err.toString(), res);
+    }
+  });
+
+  /**
+   * Compute release churn for the browser family in a request's query.
+   * @param {Request} req - Request with ?browser=[&platform=][&key=]
+   * @return {Object} - {config, changes}, where changes' from and to are
+   *                    public capture info; throws on error
+   */
+  function getChurn(req) {
+    var config = {
+      browser: req.query.browser || '',
+      platform: req.query.platform || '',
+      key: req.query.key || 'window',
+    };
+    ogStore.refresh();
+    var releases = releaseChurn.getReleases(
+      ogStore.list({revisions: true}), config
+    );
+    var changes = releaseChurn.getChurn(releases, getGraph).map(
+      function(change) {
+        return Object.assign({}, change, {
+          from: describeOGEntry(change.from),
+          to: describeOGEntry(change.to),
+        });
+      }
+    );
+    return {config: config, changes: changes};
+  }
+
+  // Release-to-release churn of a browser family; e.g.,
+  // /api/og/churn?browser=Chrome[&platform=Linux][&key=window]
+  // Responds with {config, changes}, where changes lists the APIs, structs
+  // and primitives added and removed between consecutive versions, or with
+  // an export with &format=(csv|md|json).
+  app.get('/api/og/churn', timeout('300s'), function(req, res) {
+    if (req.query.format && !exporter.formats[req.query.format]) {
+      sendJSONError(400, 'Unknown export format: ' + req.query.format, res);
+      return;
+    }
+    if (!req.query.browser) {
+      sendJSONError(400, 'Missing browser name', res);
+      return;
+    }
+
+    var churn;
+    try {
+      churn = getChurn(req);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error computing churn: ' + err.toString(), res);
+      return;
+    }
+
+    if (req.query.format) {
+      sendExport(exporter.exportChurn(churn.changes, churn.config,
+                                      req.query.format),
+                 'churn_' + churn.config.browser, res);
+    } else {
+      sendJSON(churn, res);
+    }
+  });
+
+  // Atom feed of /api/og/churn; gains an entry for every newly captured
+  // release.
+  app.get('/feed/og/churn', timeout('300s'), function(req, res) {
+    if (!req.query.browser) {
+      sendJSONError(400, 'Missing browser name', res);
+      return;
+    }
+
+    try {
+      var churn = getChurn(req);
+      res.setHeader('Content-Type', 'application/atom+xml');
+      res.send(releaseChurn.toAtom(churn.changes, {
+        title: churn.config.browser + ' API churn',
+        url: req.protocol + '://' + req.get('host') + req.originalUrl,
+      }));
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error computing churn: ' + err.toString(), res);
+    }
+  });
+
+  // Map from capture id to capture statistics. Captures are immutable, so
+  // entries need no invalidation.
+  var ogStats = new Map();
+  function getStats(entry) {
+    var stats = ogStats.get(entry.id);
+    if (!stats) {
+      stats = captureStats.getStats(getGraph(entry));
+      ogStats.set(entry.id, stats);
+    }
+    return stats;
+  }
+
+  // Capture statistics over capture time; e.g.,
+  // /api/og/stats[?key=window][&groupBy=(environment|browser)]
+  // Responds with {config, series}; see captureStats.getSeries(). Series
+  // points and changes refer to public capture info.
+  app.get('/api/og/stats', timeout('300s'), function(req, res) {
+    var config = {
+      key: req.query.key || 'window',
+      groupBy: req.query.groupBy || 'environment',
+    };
+    if (!captureStats.groupings.hasOwnProperty(config.groupBy)) {
+      sendJSONError(400, 'Unknown grouping: ' + config.groupBy, res);
+      return;
+    }
+
+    var series;
+    try {
+      ogStore.refresh();
+      series = captureStats.getSeries(
+        ogStore.list({revisions: true}), getStats, config
+      );
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error computing statistics: ' + err.toString(), res);
+      return;
+    }
+
+    sendJSON({
+      config: config,
+      series: series.map(function(s) {
+        return {
+          name: s.name,
+          points: s.points.map(function(point) {
+            return {entry: describeOGEntry(point.entry), totals: point.totals};
+          }),
+          changes: s.changes.map(function(change) {
+            return Object.assign({}, change, {
+              from: describeOGEntry(change.from),
+              to: describeOGEntry(change.to),
+            });
+          }),
+        };
+      }),
+    }, res);
+  });
+
+  // IDL collections are processed on demand; see IDLCache. Until a collection
+  // is processed, routes that need it respond 202 with {processing, message}.
+  app.get('/list/idl', function(req, res) {
+    sendJSON(idlCache.list(), res);
+  });
+
+  app.get(
+    /^\/data\/idl(\/[A-Za-z0-9.]+)+\/?$/,
+    timeout('300s'),
+    function(req, res) {
+      var parts = req.path.split('/').filter(function(part) {
+        return part !== '';
+      }).slice(2);
+      var name = parts.join(' ');
+      try {
+        var idl = idlCache.get(name);
+        if (idl === null) {
+          sendJSONError(404, 'No IDL collection named ' + name, res);
+          return;
+        }
+        sendJSON(idl, res);
+      } catch (err) {
+        if (err instanceof IDLCache.ProcessingError) {
+          sendProcessing(err, res);
+          return;
+        }
+        console.error(err);
+        sendJSONError(500, 'Error processing IDL: ' + err.toString(), res);
+      }
+    }
+  );
+
+  // Run IDL checkers over two collections; e.g.,
+  // /api/idl/analyze?left=blink linked&right=blink&interface=Node
+  // Interface "ANY" checks every interface in left. Checkers default to all
+  // built-in checkers; select a subset with &checker=[name]&checker=[name]...
+  // Responds with {config, entries} log entries, or with an export with
+  // &format=(csv|md|json).
+  app.get('/api/idl/analyze', timeout('300s'), function(req, res) {
+    var names = getQueryList(req.query.checker);
+    var checkers = names.length === 0 ? idlCheckers : idlCheckers.filter(
+      function(checker) { return names.indexOf(checker.name) >= 0; }
+    );
+    var config = {
+      left: req.query.left || '',
+      right: req.query.right || '',
+      interface: req.query.interface || '',
+      checkers: checkers.map(function(checker) { return checker.name; }),
+    };
+    if (req.query.format && !exporter.formats[req.query.format]) {
+      sendJSONError(400, 'Unknown export format: ' + req.query.format, res);
+      return;
+    }
+    if (!(config.left && config.right && config.interface)) {
+      sendJSONError(400, 'Missing left, right or interface', res);
+      return;
+    }
+
+    var logger = new idlAnalysis.RecordingLogger();
+    try {
+      var left = idlCache.get(config.left);
+      var right = idlCache.get(config.right);
+      if (left === null || right === null) {
+        sendJSONError(404, 'No IDL collection named ' +
+                      (left === null ? config.left : config.right), res);
+        return;
+      }
+      idlAnalysis.analyze(logger, {
+        left: idlFromString(left),
+        right: idlFromString(right),
+        checkers: checkers,
+      }, config.interface);
+    } catch (err) {
+      if (err instanceof IDLCache.ProcessingError) {
+        sendProcessing(err, res);
+        return;
+      }
+      console.error(err);
+      sendJSONError(500, 'Error analyzing IDL: ' + err.toString(), res);
+      return;
+    }
+
+    if (req.query.format) {
+      sendExport(exporter.exportIDL(logger.entries, config, req.query.format),
+                 'idl_analysis', res);
+    } else {
+      sendJSON({config: config, entries: logger.entries}, res);
+    }
+  });
+
+  // Search object graphs and IDL collections for a key path; e.g.,
+  // /api/search?q=navigator.getGamepads or /api/search?q=^inert$&regexp=true
+  app.get('/api/search', timeout('300s'), function(req, res) {
+    var query = req.query.q;
+    if (!query) {
+      sendJSONError(400, 'Missing search query', res);
+      return;
+    }
+
+    var regExp = req.query.regexp === 'true';
+    var regExpError = regExp ? SearchIndex.checkRegExp(query) : null;
+    if (regExpError) {
+      sendJSONError(400, regExpError, res);
+      return;
+    }
+
+    try {
+      sendJSON(searchIndex.search(query, {
+        regExp: regExp,
+        limit: parseInt(req.query.limit, 10) || undefined,
+      }), res);
+    } catch (err) {
+      console.error(err);
+      sendJSONError(500, 'Error searching: ' + err.toString(), res);
+    }
+  });
+
+  // Saved named queries for analysis pages.
+  app.get('/list/queries', function(req, res) {
+    sendJSON(queryStore.list(req.query.type), res);
+  });
+
+  app.get('/api/queries/:name', function(req, res) {
+    var query = queryStore.get(req.params.name);
+    if (query === null)
+      sendJSONError(404, 'No query named ' + req.params.name, res);
+    else
+      sendJSON(query, res);
+  });
+
+  // Body: {type, config}.
+  app.put('/api/queries/:name', bodyParser.json(), function(req, res) {
+    try {
+      sendJSON(queryStore.save(req.params.name, req.body), res);
+    } catch (err) {
+      sendJSONError(400, err.message, res);
+    }
+  });
+
+  return app;
+}
+
+module.exports = {createApp: createApp};
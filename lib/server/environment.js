@@ -0,0 +1,90 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+/**
+ * Browser product info.
+ * @constructor
+ * @param {(Array|Object)} opts - [nameStr, versionStr] or { name, version }
+ */
+function ProductInfo(opts) {
+  opts = opts || {};
+  if (Array.isArray(opts)) {
+    this.name = opts[0] || '';
+    this.version = opts[1] || '';
+  } else {
+    this.name = opts.name || '';
+    this.version = opts.version || '';
+  }
+}
+
+ProductInfo.prototype.toArray = function() {
+  return [this.name, this.version];
+};
+
+/**
+ * Browser environment info.
+ * @constructor
+ * @param {(Array|Object)} opts - [browserNameStr, browserVersionStr,
+ *                                platformNameStr, platformNameStr] or
+ *                                { browser: { name, version },
+ *                                  platform: { name, version } }
+ */
+function Environment(opts) {
+  opts = opts || {};
+  if (Array.isArray(opts)) {
+    this.browser = new ProductInfo(opts.slice(0, 2));
+    this.platform = new ProductInfo(opts.slice(2));
+  } else {
+    this.browser = new ProductInfo(opts.browser);
+    this.platform = new ProductInfo(opts.platform);
+  }
+}
+
+Environment.prototype.toArray = function() {
+  return this.browser.toArray().concat(this.platform.toArray());
+};
+
+Environment.prototype.toString = function() {
+  return this.toArray().join(' ');
+};
+
+/**
+ * Get the name of the file that stores the latest capture of this environment.
+ * @param {String} key - The captured root key; defaults to "window"
+ * @return {String} - The JSON file name
+ */
+Environment.prototype.getJSONFileName = function(key) {
+  return (key || 'window') + '_' + this.browser.name + '_' +
+    this.browser.version + '_' + this.platform.name + '_' +
+    this.platform.version + '.json';
+};
+
+function declFromJSON(ctor) {
+  ctor.fromJSON = function(data) {
+    var o = Object.create(ctor.prototype);
+    ctor.apply(o, JSON.parse(data));
+    return o;
+  };
+}
+declFromJSON(ProductInfo);
+declFromJSON(Environment);
+
+module.exports = {
+  ProductInfo: ProductInfo,
+  Environment: Environment,
+};
@@ -0,0 +1,138 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// On-demand processing of WebIDL collections. A collection is any directory
+// under idlDir that contains an all.json. Processed output is kept in memory
+// and in processed.json next to all.json; both are reprocessed whenever
+// all.json is newer than the processed output. Processing a collection takes
+// a while, so it runs in a child process (idl_cache_worker.es6.js); get()
+// throws a ProcessingError until it is done.
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const glob = require('glob');
+const path = require('path');
+const loggerModule = require('../logger.es6.js');
+
+const logger = loggerModule.getLogger({class: 'IDLCache'});
+const workerPath = path.join(__dirname, 'idl_cache_worker.es6.js');
+
+// Thrown by IDLCache.prototype.get() while a collection is being processed.
+class ProcessingError extends Error {
+  constructor(name) {
+    super(`Processing IDL collection "${name}"; try again shortly`);
+    this.name = 'ProcessingError';
+  }
+}
+
+class IDLCache {
+  constructor(opts) {
+    this.init(opts || {});
+  }
+
+  init(opts) {
+    this.idlDir = opts.idlDir;
+    // Map from collection name to {mtime, str}.
+    this.entries = new Map();
+    // Map from collection name to the all.json modification time being
+    // processed.
+    this.processing = new Map();
+    // Map from collection name to {mtime, message} of failed processing.
+    this.failures = new Map();
+  }
+
+  /**
+   * List names of IDL collections; e.g., "blink linked" for
+   * [idlDir]/blink/linked/all.json.
+   * @return {Array} - Collection names
+   */
+  list() {
+    return glob.sync(`${this.idlDir}/**/all.json`).map(
+      path => path.substr(this.idlDir.length + 1).split('/').slice(0, -1)
+        .join(' ')
+    ).sort();
+  }
+
+  getDir(name) {
+    return `${this.idlDir}/${name.split(' ').join('/')}`;
+  }
+
+  /**
+   * Get processed IDL collection, starting to process it if necessary.
+   * @param {String} name - Collection name, as returned by list()
+   * @return {(String|null)} - Processed collection in a JSON string, or null
+   *                           if there is no such collection; throws a
+   *                           ProcessingError while the collection is being
+   *                           processed
+   */
+  get(name) {
+    // Names come from requests; only listed names may name directories
+    // (e.g., not "../..").
+    if (this.list().indexOf(name) < 0) return null;
+
+    const dir = this.getDir(name);
+    const allPath = `${dir}/all.json`;
+    const processedPath = `${dir}/processed.json`;
+    if (!fs.existsSync(allPath)) return null;
+
+    const mtime = fs.statSync(allPath).mtime.getTime();
+    const entry = this.entries.get(name);
+    if (entry && entry.mtime === mtime) return entry.str;
+
+    if (!this.processing.has(name) && fs.existsSync(processedPath) &&
+        fs.statSync(processedPath).mtime.getTime() >= mtime) {
+      const str = fs.readFileSync(processedPath).toString();
+      this.entries.set(name, {mtime, str});
+      return str;
+    }
+
+    const failure = this.failures.get(name);
+    if (failure && failure.mtime === mtime) throw new Error(failure.message);
+    this.startProcessing(name, allPath, processedPath, mtime);
+    throw new ProcessingError(name);
+  }
+
+  startProcessing(name, allPath, processedPath, mtime) {
+    if (this.processing.has(name)) return;
+
+    logger.info(`Processing ${allPath}`);
+    this.processing.set(name, mtime);
+    // A child that fails to start emits "error", and may not emit "exit".
+    let done = false;
+    const finish = error => {
+      if (done) return;
+      done = true;
+      this.processing.delete(name);
+      if (error) {
+        const message = `Error processing ${allPath}: ${error}`;
+        this.failures.set(name, {mtime, message});
+        logger.error(message);
+      } else {
+        this.failures.delete(name);
+        logger.win(`Processed ${allPath}`);
+      }
+    };
+    const child = childProcess.fork(workerPath, [allPath, processedPath]);
+    child.on('error', err => finish(err.message));
+    child.on('exit', code => finish(code === 0 ? null : `Exit code ${code}`));
+  }
+}
+
+IDLCache.ProcessingError = ProcessingError;
+
+module.exports = IDLCache;
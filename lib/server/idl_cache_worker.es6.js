@@ -0,0 +1,29 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Child process of IDLCache: process one IDL collection outside the server
+// process, so that processing does not block other requests. Run as
+//
+//     node lib/server/idl_cache_worker.es6.js [all.json path] [output path]
+//
+// Exits with status 0 once the output is written.
+
+const processor = require('../idl/process_idl.es6.js');
+const writeFileAtomic = require('./files.es6.js').writeFileAtomic;
+
+writeFileAtomic(process.argv[3], processor.processFile(process.argv[2]));
@@ -0,0 +1,93 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+const fs = require('fs');
+const ObjectGraph = require('object-graph-js').ObjectGraph;
+const ogFormat = require('./og_format.es6.js');
+
+const defaultMaxEntries = 16;
+
+// In-memory cache of ObjectGraph instances loaded from capture files (JSON or
+// compact; see og_format.es6.js). Entries are keyed by path, reloaded when the
+// file's modification time changes, and evicted least-recently-used first once
+// maxEntries is exceeded.
+class ObjectGraphCache {
+  constructor(opts) {
+    this.init(opts || {});
+  }
+
+  init(opts) {
+    this.maxEntries = opts.maxEntries || defaultMaxEntries;
+    // Map preserves insertion order; most recently used entries are last.
+    this.entries = new Map();
+  }
+
+  // Get the cache entry for path, loading it if necessary.
+  load(path) {
+    const mtime = fs.statSync(path).mtime.getTime();
+    let entry = this.entries.get(path);
+    if (entry && entry.mtime === mtime) {
+      this.entries.delete(path);
+      this.entries.set(path, entry);
+      return entry;
+    }
+
+    const data = ogFormat.read(path);
+    entry = {
+      mtime,
+      graph: ObjectGraph.fromJSON(data),
+      signatures: data.signatures || {},
+    };
+    this.entries.delete(path);
+    this.entries.set(path, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get the ObjectGraph stored at path, loading it if necessary.
+   * @param {String} path - Path to ObjectGraph capture file
+   * @return {ObjectGraph} - The graph; throws if path cannot be read or parsed
+   */
+  get(path) {
+    return this.load(path).graph;
+  }
+
+  /**
+   * Get the function signatures recorded with the ObjectGraph stored at path;
+   * see lib/og/function_signatures.es6.js.
+   * @param {String} path - Path to ObjectGraph capture file
+   * @return {Object} - Signatures by function id; empty if none are recorded
+   */
+  getSignatures(path) {
+    return this.load(path).signatures;
+  }
+
+  invalidate(path) {
+    this.entries.delete(path);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = ObjectGraphCache;
@@ -0,0 +1,296 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Storage formats for object graph captures: JSON (".json"), and a compact
+// binary format (".ogc"). A compact file is the magic bytes "OGC1" followed
+// by a raw-deflated body:
+//
+//     [string count] [string]... [value]
+//
+// Strings (object keys and string values) are stored once each, in order of
+// first use, as a UTF-8 byte length and bytes, and referred to by index.
+// Values are a tag byte followed by tag-specific data:
+//
+//     null, false, true: Nothing
+//     non-negative or negative integer: Magnitude
+//     number: Little-endian float64
+//     string: String index
+//     array: Length, then each element
+//     object: Key count, then each key's string index and value
+//
+// where counts, lengths, indices and magnitudes are unsigned LEB128 varints.
+// Captures are mostly numeric ids and repeated keys, so compact files are a
+// fraction of the size of their JSON. Decoding yields a value equal to the
+// JSON value that was encoded, with object keys in the same order.
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const magic = Buffer.from('OGC1');
+const extensions = {json: '.json', compact: '.ogc'};
+const tags = {
+  null: 0,
+  false: 1,
+  true: 2,
+  uint: 3,
+  nint: 4,
+  float: 5,
+  string: 6,
+  array: 7,
+  object: 8,
+};
+
+class Writer {
+  constructor() {
+    this.buffer = Buffer.alloc(1 << 16);
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.buffer.length) return;
+    let size = this.buffer.length * 2;
+    while (size < this.length + n) size *= 2;
+    const buffer = Buffer.alloc(size);
+    this.buffer.copy(buffer, 0, 0, this.length);
+    this.buffer = buffer;
+  }
+
+  byte(b) {
+    this.reserve(1);
+    this.buffer[this.length++] = b;
+  }
+
+  // Arithmetic rather than bitwise operations: ids and timestamps exceed
+  // 32 bits.
+  varint(n) {
+    while (n >= 128) {
+      this.byte(n % 128 + 128);
+      n = Math.floor(n / 128);
+    }
+    this.byte(n);
+  }
+
+  double(x) {
+    this.reserve(8);
+    this.buffer.writeDoubleLE(x, this.length);
+    this.length += 8;
+  }
+
+  bytes(buffer) {
+    this.reserve(buffer.length);
+    buffer.copy(this.buffer, this.length);
+    this.length += buffer.length;
+  }
+
+  toBuffer() {
+    return this.buffer.slice(0, this.length);
+  }
+}
+
+class Reader {
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.pos = 0;
+  }
+
+  byte() {
+    if (this.pos >= this.buffer.length)
+      throw new Error('Unexpected end of compact data');
+    return this.buffer[this.pos++];
+  }
+
+  varint() {
+    let n = 0;
+    let scale = 1;
+    let b;
+    do {
+      b = this.byte();
+      n += (b % 128) * scale;
+      scale *= 128;
+    } while (b >= 128);
+    return n;
+  }
+
+  double() {
+    if (this.pos + 8 > this.buffer.length)
+      throw new Error('Unexpected end of compact data');
+    const x = this.buffer.readDoubleLE(this.pos);
+    this.pos += 8;
+    return x;
+  }
+
+  bytes(n) {
+    if (this.pos + n > this.buffer.length)
+      throw new Error('Unexpected end of compact data');
+    const buffer = this.buffer.slice(this.pos, this.pos + n);
+    this.pos += n;
+    return buffer;
+  }
+}
+
+function isInteger(x) {
+  return Math.floor(x) === x && Math.abs(x) <= Number.MAX_SAFE_INTEGER &&
+    !Object.is(x, -0);
+}
+
+/**
+ * Encode a JSON value (e.g., a JSONified ObjectGraph) in the compact format.
+ * As in JSON.stringify(), undefined object properties are omitted, and
+ * undefined array elements and non-finite numbers are encoded as null.
+ * @param {*} data - JSON value
+ * @return {Buffer} - Compact data
+ */
+function encode(data) {
+  let strings = new Map();
+  const values = new Writer();
+
+  function string(str) {
+    let index = strings.get(str);
+    if (index === undefined) {
+      index = strings.size;
+      strings.set(str, index);
+    }
+    values.varint(index);
+  }
+
+  function value(x) {
+    if (x === null || x === undefined ||
+        (typeof x === 'number' && !isFinite(x))) {
+      values.byte(tags.null);
+    } else if (typeof x === 'boolean') {
+      values.byte(x ? tags.true : tags.false);
+    } else if (typeof x === 'number') {
+      if (!isInteger(x)) {
+        values.byte(tags.float);
+        values.double(x);
+      } else {
+        values.byte(x < 0 ? tags.nint : tags.uint);
+        values.varint(Math.abs(x));
+      }
+    } else if (typeof x === 'string') {
+      values.byte(tags.string);
+      string(x);
+    } else if (Array.isArray(x)) {
+      values.byte(tags.array);
+      values.varint(x.length);
+      x.forEach(value);
+    } else {
+      const keys = Object.keys(x).filter(key => x[key] !== undefined);
+      values.byte(tags.object);
+      values.varint(keys.length);
+      keys.forEach(key => {
+        string(key);
+        value(x[key]);
+      });
+    }
+  }
+
+  value(data);
+
+  const body = new Writer();
+  body.varint(strings.size);
+  strings.forEach((index, str) => {
+    const bytes = Buffer.from(str, 'utf8');
+    body.varint(bytes.length);
+    body.bytes(bytes);
+  });
+  body.bytes(values.toBuffer());
+
+  return Buffer.concat([magic, zlib.deflateRawSync(body.toBuffer())]);
+}
+
+function isCompact(buffer) {
+  return buffer.length >= magic.length &&
+    buffer.slice(0, magic.length).equals(magic);
+}
+
+/**
+ * Decode compact data.
+ * @param {Buffer} buffer - Data from encode()
+ * @return {*} - The encoded JSON value; throws on malformed data
+ */
+function decode(buffer) {
+  if (!isCompact(buffer)) throw new Error('Not compact object graph data');
+  const reader = new Reader(zlib.inflateRawSync(buffer.slice(magic.length)));
+
+  const count = reader.varint();
+  let strings = new Array(count);
+  for (let i = 0; i < count; i++) {
+    strings[i] = reader.bytes(reader.varint()).toString('utf8');
+  }
+  function string() {
+    const index = reader.varint();
+    if (index >= count) throw new Error(`Invalid string index ${index}`);
+    return strings[index];
+  }
+
+  function value() {
+    const tag = reader.byte();
+    switch (tag) {
+      case tags.null: return null;
+      case tags.false: return false;
+      case tags.true: return true;
+      case tags.uint: return reader.varint();
+      case tags.nint: return -reader.varint();
+      case tags.float: return reader.double();
+      case tags.string: return string();
+      case tags.array: {
+        const length = reader.varint();
+        let arr = new Array(length);
+        for (let i = 0; i < length; i++) arr[i] = value();
+        return arr;
+      }
+      case tags.object: {
+        const length = reader.varint();
+        let obj = {};
+        for (let i = 0; i < length; i++) {
+          const key = string();
+          // Define rather than assign, so that "__proto__" is an own
+          // property, as in JSON.parse().
+          Object.defineProperty(obj, key, {
+            value: value(),
+            writable: true,
+            enumerable: true,
+            configurable: true,
+          });
+        }
+        return obj;
+      }
+      default:
+        throw new Error(`Invalid tag ${tag} in compact data`);
+    }
+  }
+
+  const data = value();
+  if (reader.pos !== reader.buffer.length)
+    throw new Error('Trailing bytes in compact data');
+  return data;
+}
+
+/**
+ * Read a capture file in either format; the format is detected from the
+ * file's contents.
+ * @param {String} path - Path to capture file
+ * @return {Object} - JSONified ObjectGraph
+ */
+function read(path) {
+  const buffer = fs.readFileSync(path);
+  return isCompact(buffer) ? decode(buffer) : JSON.parse(buffer);
+}
+
+module.exports = {extensions, encode, decode, isCompact, read};
@@ -0,0 +1,293 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Storage and index of object graph captures. Every capture is stored as
+//
+//     [ogDir]/history/[file base name]/[timestamp][extension]
+//
+// and the latest capture is also written to [ogDir]/[file base name]
+// [extension], so that tools that only know about the latest capture continue
+// to work. The extension is ".json", or ".ogc" for stores that save captures
+// in the compact format (see og_format.es6.js); captures in either format are
+// read and indexed.
+// Captures found in [ogDir] that were not saved through the store (e.g., by
+// selenium_og.es6.js) are indexed too.
+//
+// The index, [ogDir]/index.json, holds one entry per capture:
+//
+//     {id, key, environment, label, timestamp, userAgent, counts, latest,
+//      file, mtime}
+//
+// where id is a stable, URL-safe identifier derived from the capture's key,
+// environment and timestamp, and file is relative to ogDir. key is the
+// captured global scope: "window", or a worker scope such as "serviceWorker".
+
+const fs = require('fs');
+const glob = require('glob');
+const NameRewriter = require('object-graph-js').NameRewriter;
+const stringify = require('ya-stdlib-js').stringify;
+const Environment = require('./environment.js').Environment;
+const files = require('./files.es6.js');
+const ogFormat = require('./og_format.es6.js');
+const writeFileAtomic = files.writeFileAtomic;
+const ensureDir = files.ensureDir;
+
+const nameRewriter = new NameRewriter();
+const extensions = Object.keys(ogFormat.extensions)
+  .map(format => ogFormat.extensions[format]);
+
+// Replace characters that are not URL- and file-name-safe.
+function slug(str) {
+  return String(str).replace(/[^A-Za-z0-9.]+/g, '-');
+}
+
+// File base name of an environment's captures: [key]_[browser]_[version]_
+// [platform]_[version]. Parts are slugged, and parts that are only dots are
+// rejected, so that no key or environment names a path outside ogDir.
+function getBaseName(key, env) {
+  const parts = [key].concat(env.toArray()).map(slug);
+  const bad = parts.filter(part => /^\.+$/.test(part))[0];
+  if (bad !== undefined)
+    throw new Error(`Invalid capture file name part: "${bad}"`);
+  return parts.join('_');
+}
+
+function getId(key, env, timestamp) {
+  return [key].concat(env.toArray()).concat([timestamp]).map(slug).join('_');
+}
+
+// Environment labels name worker scopes, so that they can be told apart from
+// window captures of the same browser.
+function getLabel(key, env) {
+  return key === 'window' ? env.toString() : `${key}: ${env.toString()}`;
+}
+
+// Environment of a capture: as recorded by the capturing tool (e.g.,
+// og_headless.es6.js), or derived from its user agent or file name.
+function getEnvironment(data, file) {
+  if (data.environment) return new Environment(data.environment);
+  if (data.userAgent) {
+    return new Environment(
+      nameRewriter.userAgentAsPlatformInfo(data.userAgent)
+    );
+  }
+
+  // Fall back on [key]_[browser]_[version]_[platform]_[version] file name.
+  const parts = file.replace(/^history\//, '')
+    .replace(/(\/[0-9]+)?\.(json|ogc)$/, '').split('_');
+  return new Environment(parts.slice(parts.length - 4));
+}
+
+class CaptureStore {
+  constructor(opts) {
+    this.init(opts || {});
+  }
+
+  /**
+   * @param {Object} opts - {ogDir, format}: Directory of captures, and format
+   *                        in which to save new captures: "json" (default) or
+   *                        "compact"
+   */
+  init(opts) {
+    this.ogDir = opts.ogDir;
+    this.format = opts.format || 'json';
+    if (!ogFormat.extensions.hasOwnProperty(this.format))
+      throw new Error(`Unknown capture format: ${this.format}`);
+    this.historyDir = `${this.ogDir}/history`;
+    this.indexPath = `${this.ogDir}/index.json`;
+    this.entries = fs.existsSync(this.indexPath) ?
+      JSON.parse(fs.readFileSync(this.indexPath)) : [];
+    this.refresh();
+  }
+
+  storeIndex() {
+    writeFileAtomic(this.indexPath, stringify(this.entries));
+  }
+
+  // Capture files relative to ogDir.
+  listFiles() {
+    return extensions.map(ext => glob.sync(`${this.ogDir}/*${ext}`)
+      .concat(glob.sync(`${this.historyDir}/*/*${ext}`))
+    ).reduce((acc, paths) => acc.concat(paths), [])
+      .map(path => path.substr(this.ogDir.length + 1))
+      .filter(file => file !== 'index.json');
+  }
+
+  readEntry(file, mtime) {
+    const data = ogFormat.read(`${this.ogDir}/${file}`);
+    const key = data.key || 'window';
+    const env = getEnvironment(data, file);
+    const timestamp = typeof data.timestamp === 'number' ?
+      data.timestamp : mtime;
+    return {
+      id: getId(key, env, timestamp),
+      key,
+      environment: {browser: env.browser, platform: env.platform},
+      label: getLabel(key, env),
+      timestamp,
+      userAgent: data.userAgent || '',
+      counts: {
+        nodes: Object.keys(data.data || {}).length,
+        functions: (data.functions || []).length,
+      },
+      latest: false,
+      file,
+      mtime,
+    };
+  }
+
+  /**
+   * Bring the index up to date with capture files on disk: index new or
+   * modified files and drop entries whose files no longer exist.
+   */
+  refresh() {
+    const byFile = new Map(this.entries.map(entry => [entry.file, entry]));
+    let changed = false;
+    let entries = this.listFiles().map(file => {
+      const mtime = fs.statSync(`${this.ogDir}/${file}`).mtime.getTime();
+      const entry = byFile.get(file);
+      byFile.delete(file);
+      if (entry && entry.mtime === mtime) return entry;
+
+      changed = true;
+      return this.readEntry(file, mtime);
+    });
+    if (byFile.size > 0) changed = true;
+
+    // The latest capture of an environment is stored both in history and at
+    // the top level; index the copy in history.
+    const byId = new Map();
+    for (const entry of entries) {
+      const other = byId.get(entry.id);
+      if (!other || entry.file.indexOf('history/') === 0)
+        byId.set(entry.id, entry);
+    }
+    entries = Array.from(byId.values());
+
+    // Mark the latest capture of each environment.
+    const latest = new Map();
+    for (const entry of entries) {
+      const groupKey = `${entry.key} ${entry.label}`;
+      const other = latest.get(groupKey);
+      if (!other || other.timestamp < entry.timestamp)
+        latest.set(groupKey, entry);
+    }
+    for (const entry of entries) {
+      const isLatest = latest.get(`${entry.key} ${entry.label}`) === entry;
+      if (entry.latest !== isLatest) changed = true;
+      entry.latest = isLatest;
+    }
+
+    this.entries = entries.sort(
+      (a, b) => a.label < b.label ? -1 : a.label > b.label ? 1 :
+        a.timestamp - b.timestamp
+    );
+    if (changed) this.storeIndex();
+  }
+
+  /**
+   * List indexed captures.
+   * @param {Object} opts - {revisions}: List every revision instead of only
+   *                        the latest capture of each environment
+   * @return {Array} - Index entries
+   */
+  list(opts) {
+    const revisions = opts && opts.revisions;
+    return this.entries.filter(entry => revisions || entry.latest);
+  }
+
+  get(id) {
+    return this.entries.filter(entry => entry.id === id)[0] || null;
+  }
+
+  getPath(entry) {
+    return `${this.ogDir}/${entry.file}`;
+  }
+
+  /**
+   * Get all revisions of the environment captured in an entry, oldest first.
+   * @param {Object} entry - Index entry
+   * @return {Array} - Index entries
+   */
+  getRevisions(entry) {
+    return this.entries.filter(
+      other => other.key === entry.key && other.label === entry.label
+    );
+  }
+
+  /**
+   * Store a new capture.
+   * @param {Object} data - JSONified ObjectGraph
+   * @param {String} userAgent - User agent of the capturing browser; used when
+   *                             data does not record its own
+   * @return {Object} - Index entry of the stored capture
+   */
+  save(data, userAgent) {
+    data.userAgent = data.userAgent || userAgent;
+    const key = data.key || 'window';
+    const env = getEnvironment(data, '');
+    const baseName = getBaseName(key, env);
+    const ext = ogFormat.extensions[this.format];
+    const latestFiles = extensions.map(other => `${baseName}${other}`);
+    const latestFile = `${baseName}${ext}`;
+    ensureDir(this.historyDir);
+    ensureDir(`${this.historyDir}/${baseName}`);
+
+    // Move captures that predate history into history, so that they are not
+    // lost when the latest capture is overwritten.
+    const legacy = this.entries.filter(
+      entry => latestFiles.indexOf(entry.file) >= 0
+    );
+    for (const entry of legacy) {
+      const legacyPath = this.getPath(entry);
+      entry.file = `history/${baseName}/${entry.timestamp}` +
+        entry.file.substr(baseName.length);
+      writeFileAtomic(this.getPath(entry), fs.readFileSync(legacyPath));
+      entry.mtime = fs.statSync(this.getPath(entry)).mtime.getTime();
+    }
+    // Keep only one latest capture, in this store's format.
+    for (const file of latestFiles) {
+      const latestPath = `${this.ogDir}/${file}`;
+      if (file !== latestFile && fs.existsSync(latestPath))
+        fs.unlinkSync(latestPath);
+    }
+
+    // Timestamps identify revisions; bump duplicates until unique.
+    let timestamp = typeof data.timestamp === 'number' ?
+      data.timestamp : Date.now();
+    while (this.get(getId(key, env, timestamp))) timestamp++;
+    data.timestamp = timestamp;
+
+    const contents = this.format === 'compact' ?
+      ogFormat.encode(data) : stringify(data);
+    const file = `history/${baseName}/${timestamp}${ext}`;
+    writeFileAtomic(`${this.ogDir}/${file}`, contents);
+    writeFileAtomic(`${this.ogDir}/${latestFile}`, contents);
+
+    const entry = this.readEntry(
+      file, fs.statSync(`${this.ogDir}/${file}`).mtime.getTime()
+    );
+    this.entries.push(entry);
+    this.refresh();
+    this.storeIndex();
+
+    return entry;
+  }
+}
+
+module.exports = CaptureStore;
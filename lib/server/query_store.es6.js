@@ -0,0 +1,94 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Named analysis queries, stored in a single JSON file. Each query is
+//
+//     {name, type, config, savedAt}
+//
+// where type is the analysis page that saved it ("og" or "idl") and config is
+// that page's configuration; e.g., {include, exclude, filter} for "og", and
+// {left, right, interface, checkers, customChecker} for "idl".
+
+const fs = require('fs');
+const stringify = require('ya-stdlib-js').stringify;
+const writeFileAtomic = require('./files.es6.js').writeFileAtomic;
+
+const types = ['og', 'idl'];
+const maxNameLength = 200;
+
+class QueryStore {
+  constructor(opts) {
+    this.init(opts || {});
+  }
+
+  init(opts) {
+    this.path = opts.path;
+    // Query names are user input; e.g., "__proto__" must be an ordinary key.
+    this.queries = Object.assign(
+      Object.create(null),
+      fs.existsSync(this.path) ? JSON.parse(fs.readFileSync(this.path)) : {}
+    );
+  }
+
+  /**
+   * List saved queries.
+   * @param {String} type - Only list queries of this type, if given
+   * @return {Array} - {name, type, savedAt} of each query, sorted by name
+   */
+  list(type) {
+    return Object.keys(this.queries).sort()
+      .map(name => this.queries[name])
+      .filter(query => !type || query.type === type)
+      .map(query => ({
+        name: query.name,
+        type: query.type,
+        savedAt: query.savedAt,
+      }));
+  }
+
+  get(name) {
+    return this.queries[name] || null;
+  }
+
+  /**
+   * Save a query, replacing any query of the same name.
+   * @param {String} name - Query name
+   * @param {Object} query - {type, config}
+   * @return {Object} - The saved query; throws on invalid input
+   */
+  save(name, query) {
+    if (!name || name.length > maxNameLength)
+      throw new Error(`Query name must be 1-${maxNameLength} characters`);
+    if (!query || types.indexOf(query.type) < 0)
+      throw new Error(`Query type must be one of ${types.join(', ')}`);
+    if (!query.config || typeof query.config !== 'object')
+      throw new Error('Query config must be an object');
+
+    const saved = {
+      name,
+      type: query.type,
+      config: query.config,
+      savedAt: Date.now(),
+    };
+    this.queries[name] = saved;
+    writeFileAtomic(this.path, stringify(this.queries));
+    return saved;
+  }
+}
+
+module.exports = QueryStore;
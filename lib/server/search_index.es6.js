@@ -0,0 +1,189 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Index of key paths in object graph captures and processed IDL collections,
+// for finding where an API is exposed across environments.
+
+const report = require('../og/report.es6.js');
+const IDLCache = require('./idl_cache.es6.js');
+
+const defaultLimit = 50;
+const maxRegExpLength = 200;
+
+// Quantified groups that contain quantifiers (e.g., "(a+)+") can take
+// exponential time to fail to match.
+const nestedQuantifier = /\((?:[^()\\]|\\.)*[*+}](?:[^()\\]|\\.)*\)[*+{]/;
+
+// Key paths that an IDL parse exposes at runtime. Regular members live on
+// the interface prototype, static members on the interface object, and
+// constants on both.
+function getIDLKeyPaths(parses) {
+  let paths = new Set();
+  parses.filter(parse => parse.type_ === 'Interface').forEach(parse => {
+    paths.add(parse.name);
+    (parse.members || []).filter(member => member.name).forEach(member => {
+      const isConst = member.hasOwnProperty('value');
+      if (member.isStatic || isConst)
+        paths.add(`${parse.name}.${member.name}`);
+      if (!member.isStatic)
+        paths.add(`${parse.name}.prototype.${member.name}`);
+    });
+  });
+  return Array.from(paths).sort();
+}
+
+// Key path as plain queries match it: lower case, without "prototype"
+// segments. Members are found on interface prototypes, but are usually named
+// after instances; e.g., "navigator.getGamepads" for
+// "Navigator.prototype.getGamepads".
+function normalize(path) {
+  return path.toLowerCase().split('.')
+    .filter(segment => segment !== 'prototype').join('.');
+}
+
+// Get a predicate over key paths and their normalized forms. Plain queries
+// match whole normalized path segments at the end of a path; e.g.,
+// "navigator.getGamepads" matches "window.Navigator.prototype.getGamepads"
+// but not "window.Navigator.prototype.xgetGamepads".
+function getMatcher(query, isRegExp) {
+  if (isRegExp) {
+    const re = new RegExp(query);
+    return (path, normalized) => re.test(path);
+  }
+  const normalizedQuery = normalize(query);
+  const suffix = `.${normalizedQuery}`;
+  return (path, normalized) => normalized === normalizedQuery ||
+    normalized.substr(normalized.length - suffix.length) === suffix;
+}
+
+// Key paths with their normalized forms.
+function withNormalized(paths) {
+  return {paths, normalized: paths.map(normalize)};
+}
+
+class SearchIndex {
+  constructor(opts) {
+    this.init(opts || {});
+  }
+
+  init(opts) {
+    this.ogStore = opts.ogStore;
+    this.ogCache = opts.ogCache;
+    this.idlCache = opts.idlCache;
+    // Map from capture id to {paths, normalized} key paths. Captures are
+    // immutable, so entries need no invalidation.
+    this.ogPaths = new Map();
+    // Map from IDL collection name to {str, paths}, where str is the processed
+    // collection that paths ({paths, normalized}) were computed from.
+    this.idlPaths = new Map();
+  }
+
+  /**
+   * Check that a regular expression query is safe to run against every key
+   * path.
+   * @param {String} query - Regular expression source
+   * @return {String} - Error message, or null if query is acceptable
+   */
+  static checkRegExp(query) {
+    if (query.length > maxRegExpLength)
+      return `Regular expression longer than ${maxRegExpLength} characters`;
+    if (nestedQuantifier.test(query)) {
+      return 'Regular expressions with nested quantifiers (e.g., "(a+)+") ' +
+        'are not supported';
+    }
+    try {
+      new RegExp(query);
+    } catch (err) {
+      return err.message;
+    }
+    return null;
+  }
+
+  getOGPaths(entry) {
+    let paths = this.ogPaths.get(entry.id);
+    if (!paths) {
+      paths = withNormalized(report.getKeyPaths(
+        this.ogCache.get(this.ogStore.getPath(entry))
+      ));
+      this.ogPaths.set(entry.id, paths);
+    }
+    return paths;
+  }
+
+  // Key paths of an IDL collection, or null while it is being processed.
+  getIDLPaths(name) {
+    let str;
+    try {
+      str = this.idlCache.get(name);
+    } catch (err) {
+      if (err instanceof IDLCache.ProcessingError) return null;
+      throw err;
+    }
+    let cached = this.idlPaths.get(name);
+    if (!cached || cached.str !== str) {
+      cached = {str, paths: withNormalized(getIDLKeyPaths(JSON.parse(str)))};
+      this.idlPaths.set(name, cached);
+    }
+    return cached.paths;
+  }
+
+  /**
+   * Search latest object graph captures and all IDL collections for key paths.
+   * @param {String} query - Key path or regular expression source; see
+   *                         checkRegExp()
+   * @param {Object} opts - {regExp}: Treat query as a regular expression;
+   *                        {limit}: Maximum matches reported per source
+   * @return {Object} - {query, regExp, og, idl}, where og and idl list
+   *                    {present, matches, count} for each source, and IDL
+   *                    collections that are being processed have
+   *                    {processing: true}
+   */
+  search(query, opts) {
+    opts = opts || {};
+    const matches = getMatcher(query, opts.regExp);
+    const limit = opts.limit || defaultLimit;
+
+    function describe(paths) {
+      if (paths === null)
+        return {present: false, count: 0, matches: [], processing: true};
+      const found = paths.paths.filter(
+        (path, i) => matches(path, paths.normalized[i])
+      );
+      return {
+        present: found.length > 0,
+        count: found.length,
+        matches: found.slice(0, limit),
+      };
+    }
+
+    return {
+      query,
+      regExp: !!opts.regExp,
+      og: this.ogStore.list().map(entry => Object.assign({
+        id: entry.id,
+        key: entry.key,
+        label: entry.label,
+      }, describe(this.getOGPaths(entry)))),
+      idl: this.idlCache.list().map(name => Object.assign(
+        {name}, describe(this.getIDLPaths(name))
+      )),
+    };
+  }
+}
+
+module.exports = SearchIndex;
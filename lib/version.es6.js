@@ -0,0 +1,57 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Dotted version strings, as found in environment product info; e.g.,
+// "53.0.2785.116" or "10.12".
+
+// Compare a and b component by component; numerically where both components
+// are numbers. A version sorts before any longer version that it prefixes.
+// Returns a negative number, zero, or a positive number, like a sort
+// comparator.
+function compare(a, b) {
+  const as = String(a).split('.');
+  const bs = String(b).split('.');
+  for (let i = 0; i < Math.min(as.length, bs.length); i++) {
+    const an = Number(as[i]);
+    const bn = Number(bs[i]);
+    if (!isNaN(an) && !isNaN(bn)) {
+      if (an !== bn) return an - bn;
+    } else if (as[i] !== bs[i]) {
+      return as[i] < bs[i] ? -1 : 1;
+    }
+  }
+  return as.length - bs.length;
+}
+
+// Whether version starts with all of prefix's components; e.g., "53" and
+// "53.0" match "53.0.2785.116", but "5" does not.
+function matches(prefix, version) {
+  const ps = String(prefix).split('.');
+  const vs = String(version).split('.');
+  return ps.length <= vs.length && ps.every((p, i) => p === vs[i]);
+}
+
+// Compare version to bound at bound's precision; e.g., "53.0.2785.116" is
+// equal to "53", but greater than "52.1".
+function compareTo(version, bound) {
+  const precision = String(bound).split('.').length;
+  return compare(String(version).split('.').slice(0, precision).join('.'),
+                 bound);
+}
+
+module.exports = {compare, matches, compareTo};
@@ -0,0 +1,149 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Pages that compare object graph captures across environments (e.g.,
+// descriptors.html and quorum.html). Binds to these elements:
+//
+//     <select id="environments" multiple></select>
+//     <button id="analyze">Compare</button>
+//     <span id="status-value"></span>
+//
+// The selected environments and the page's inputs are kept in the URL hash,
+// so that analyses can be linked to. Pages provide only rendering.
+
+const stdlib = require('ya-stdlib-js');
+
+// Get an element from the DOM.
+function e(selector) {
+  return document.querySelector(selector);
+}
+
+function ce(tagName) {
+  return document.createElement(tagName);
+}
+
+function setStatus(str) {
+  e('#status-value').textContent = str;
+}
+
+function getValue(input) {
+  return input.type === 'checkbox' ? String(input.checked) : input.value;
+}
+
+// URI-encoded value of a page input, from {selector}.
+function encodeInput(input) {
+  return encodeURIComponent(getValue(e(input.selector)));
+}
+
+function setValue(input, value) {
+  if (input.type === 'checkbox') input.checked = value === 'true';
+  else input.value = value;
+}
+
+class EnvironmentAnalysis {
+  constructor(opts) {
+    this.init(opts || {});
+  }
+
+  /**
+   * @param {Object} opts - {url, inputs, onResult}, where url is the analysis
+   *                        route (e.g., "/api/og/protos"), inputs are
+   *                        {selector, hash, param, defaultValue} page inputs,
+   *                        kept in the URL hash as hash, passed to the route
+   *                        as param (if given), and set to defaultValue (if
+   *                        given) when the hash does not have them, and
+   *                        onResult(result) renders a successful response
+   */
+  init(opts) {
+    Object.assign(this, {inputs: []}, opts);
+    // Latest request URL; responses for older requests are dropped.
+    this.current = null;
+
+    e('#analyze').addEventListener('click', () => {
+      this.updateHash();
+      this.analyze();
+    });
+
+    stdlib.xhr('/list/og', {responseType: 'json'}).then(entries => {
+      const select = e('#environments');
+      for (const entry of entries || []) {
+        const opt = ce('option');
+        opt.value = entry.id;
+        opt.textContent = entry.label;
+        select.appendChild(opt);
+      }
+      if (this.loadFromHash()) this.analyze();
+    });
+  }
+
+  getSelectedIds() {
+    return Array.from(e('#environments').selectedOptions).map(
+      opt => opt.value
+    );
+  }
+
+  updateHash() {
+    window.location.hash = this.inputs.map(
+      input => `${input.hash}=${encodeInput(input)}`
+    ).concat([
+      `i=${this.getSelectedIds().map(encodeURIComponent).join(',')}`,
+    ]).join('&');
+  }
+
+  loadFromHash() {
+    const hash = window.location.hash;
+    if (!hash) return false;
+
+    // Raw (still URI-encoded) value of a hash parameter, or null.
+    function param(name) {
+      const match = hash.match(new RegExp(`[#&]${name}=([^&]*)`));
+      return match ? match[1] : null;
+    }
+
+    for (const input of this.inputs) {
+      const value = param(input.hash);
+      setValue(e(input.selector), value !== null ?
+               decodeURIComponent(value) : input.defaultValue || '');
+    }
+    const ids = param('i');
+    const selected = ids ? ids.split(',').map(decodeURIComponent) : [];
+    for (const opt of Array.from(e('#environments').options)) {
+      opt.selected = selected.indexOf(opt.value) >= 0;
+    }
+    return true;
+  }
+
+  analyze() {
+    const params = this.inputs.filter(input => input.param).map(
+      input => `${input.param}=${encodeInput(input)}`
+    ).concat(this.getSelectedIds().map(id => `id=${encodeURIComponent(id)}`));
+    const url = this.current = `${this.url}?${params.join('&')}`;
+
+    setStatus('Loading');
+    stdlib.xhr(url, {responseType: 'json'}).then(result => {
+      if (url !== this.current) return;
+      if (!result || result.error) {
+        setStatus(`Error: ${result ? result.error : 'No response'}`);
+        return;
+      }
+      this.onResult(result);
+    }, err => setStatus(`Error: ${err}`));
+  }
+}
+
+module.exports = {e, ce, setStatus, EnvironmentAnalysis};
@@ -0,0 +1,219 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Collapsible tree of dot-separated key paths; e.g.,
+//
+//     window (3)
+//       HTMLElement (2)
+//         prototype (2)
+//           click
+//           focus
+//       Node (1)
+//         ...
+//
+// Each node shows the number of keys at or under it. Follows the WAI-ARIA tree
+// view pattern: Up and Down move between visible nodes, Right expands a node
+// or moves to its first child, Left collapses a node or moves to its parent,
+// Home and End move to the first and last visible nodes, and Enter or Space
+// toggles a node. Children are rendered when first expanded, so large trees
+// render quickly.
+
+// Expand every node of trees with at most this many keys.
+const expandAllMax = 100;
+
+function ce(tagName) {
+  return document.createElement(tagName);
+}
+
+function buildTree(keys) {
+  const newNode = (name, path) => ({
+    name,
+    path,
+    count: 0,
+    isKey: false,
+    children: new Map(),
+  });
+  const root = newNode('', '');
+  keys.forEach(key => {
+    let node = root;
+    root.count++;
+    key.split('.').forEach((part, i, parts) => {
+      if (!node.children.has(part))
+        node.children.set(part, newNode(part, parts.slice(0, i + 1).join('.')));
+      node = node.children.get(part);
+      node.count++;
+    });
+    node.isKey = true;
+  });
+  return root;
+}
+
+class KeyTree {
+  constructor(opts) {
+    this.init(opts || {});
+  }
+
+  /**
+   * @param {Object} opts - {container}: Element to render the tree into
+   */
+  init(opts) {
+    this.container = opts.container;
+    this.container.setAttribute('role', 'tree');
+    this.container.addEventListener('keydown', evt => this.onKeyDown(evt));
+    this.setKeys([]);
+  }
+
+  /**
+   * Render a tree of keys, replacing any previous tree.
+   * @param {Array} keys - Dot-separated key paths
+   */
+  setKeys(keys) {
+    this.root = buildTree(keys);
+    this.container.innerHTML = '';
+    const expandAll = keys.length <= expandAllMax;
+    this.renderChildren(this.root, this.container, expandAll);
+
+    const first = this.container.querySelector('[role="treeitem"]');
+    if (first) first.tabIndex = 0;
+  }
+
+  renderChildren(node, parentEl, expandAll) {
+    const children = Array.from(node.children.values()).sort(
+      (a, b) => a.name < b.name ? -1 : a.name > b.name ? 1 : 0
+    );
+    // Expand only children, so that single paths (e.g., "window") are open.
+    for (const child of children) {
+      parentEl.appendChild(this.renderNode(
+        child, expandAll || children.length === 1, expandAll
+      ));
+    }
+  }
+
+  renderNode(node, expand, expandAll) {
+    const li = ce('li');
+    li.setAttribute('role', 'treeitem');
+    li.tabIndex = -1;
+    li.title = node.path;
+    li.node = node;
+
+    const label = ce('span');
+    label.className = node.isKey ? 'key' : 'path';
+    label.textContent = node.name;
+    li.appendChild(label);
+    if (node.children.size > 0) {
+      const count = ce('span');
+      count.className = 'count';
+      count.textContent = ` (${node.count})`;
+      label.appendChild(count);
+      li.setAttribute('aria-expanded', 'false');
+      if (expand) this.setExpanded(li, true, expandAll);
+    }
+
+    label.addEventListener('click', evt => {
+      evt.stopPropagation();
+      this.focus(li);
+      this.toggle(li);
+    });
+    return li;
+  }
+
+  getGroup(li) {
+    return Array.from(li.children).filter(el => el.tagName === 'UL')[0] ||
+      null;
+  }
+
+  setExpanded(li, expanded, expandAll) {
+    if (!li.hasAttribute('aria-expanded')) return;
+
+    let group = this.getGroup(li);
+    if (expanded && !group) {
+      group = ce('ul');
+      group.setAttribute('role', 'group');
+      this.renderChildren(li.node, group, expandAll);
+      li.appendChild(group);
+    }
+    if (group) group.hidden = !expanded;
+    li.setAttribute('aria-expanded', String(expanded));
+  }
+
+  toggle(li) {
+    this.setExpanded(li, li.getAttribute('aria-expanded') === 'false');
+  }
+
+  // Tree items that are not inside collapsed groups, in document order.
+  getVisibleItems() {
+    return Array.from(this.container.querySelectorAll('[role="treeitem"]'))
+      .filter(li => !li.parentElement.closest('ul[hidden]'));
+  }
+
+  getParentItem(li) {
+    const parent = li.parentElement.closest('[role="treeitem"]');
+    return parent && this.container.contains(parent) ? parent : null;
+  }
+
+  focus(li) {
+    Array.from(this.container.querySelectorAll('[tabindex="0"]')).forEach(
+      el => el.tabIndex = -1
+    );
+    li.tabIndex = 0;
+    li.focus();
+  }
+
+  onKeyDown(evt) {
+    const li = evt.target.closest('[role="treeitem"]');
+    if (!li) return;
+
+    const items = this.getVisibleItems();
+    const i = items.indexOf(li);
+    const expanded = li.getAttribute('aria-expanded');
+    let next = null;
+    switch (evt.key) {
+      case 'ArrowDown':
+        next = items[i + 1];
+        break;
+      case 'ArrowUp':
+        next = items[i - 1];
+        break;
+      case 'Home':
+        next = items[0];
+        break;
+      case 'End':
+        next = items[items.length - 1];
+        break;
+      case 'ArrowRight':
+        if (expanded === 'false') this.setExpanded(li, true);
+        else if (expanded === 'true') next = items[i + 1];
+        break;
+      case 'ArrowLeft':
+        if (expanded === 'true') this.setExpanded(li, false);
+        else next = this.getParentItem(li);
+        break;
+      case 'Enter':
+      case ' ':
+        this.toggle(li);
+        break;
+      default:
+        return;
+    }
+
+    evt.preventDefault();
+    if (next) this.focus(next);
+  }
+}
+
+module.exports = KeyTree;
@@ -0,0 +1,123 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Save and load named analysis queries on the server. Binds to these elements
+// on analysis pages:
+//
+//     <input id="query-name" list="saved-queries">
+//     <datalist id="saved-queries"></datalist>
+//     <button id="query-save">Save</button>
+//     <button id="query-load">Load</button>
+
+const stdlib = require('ya-stdlib-js');
+
+function e(selector) {
+  return document.querySelector(selector);
+}
+
+function put(url, data) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('PUT', url);
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    xhr.responseType = 'json';
+    xhr.addEventListener('load', () => {
+      if (xhr.status >= 200 && xhr.status < 300) resolve(xhr.response);
+      else reject(xhr.response ? xhr.response.error : xhr.statusText);
+    });
+    xhr.addEventListener('error', () => reject(xhr.statusText));
+    xhr.send(JSON.stringify(data));
+  });
+}
+
+class SavedQueries {
+  constructor(opts) {
+    this.init(opts || {});
+  }
+
+  /**
+   * @param {Object} opts - {type, getConfig, applyConfig, setStatus}, where
+   *                        type is the query type ("og" or "idl"),
+   *                        getConfig() returns the page's configuration,
+   *                        applyConfig(config) loads a configuration into the
+   *                        page, and setStatus(str) reports progress
+   */
+  init(opts) {
+    Object.assign(this, {
+      setStatus: () => {},
+    }, opts);
+
+    e('#query-save').addEventListener('click', () => this.save());
+    e('#query-load').addEventListener('click', () => this.load());
+    this.refresh();
+  }
+
+  getURL(name) {
+    return `/api/queries/${encodeURIComponent(name)}`;
+  }
+
+  refresh() {
+    return stdlib.xhr(`/list/queries?type=${this.type}`, {
+      responseType: 'json',
+    }).then(queries => {
+      const datalist = e('#saved-queries');
+      datalist.innerHTML = '';
+      for (const query of queries || []) {
+        const opt = document.createElement('option');
+        opt.value = query.name;
+        datalist.appendChild(opt);
+      }
+    });
+  }
+
+  save() {
+    const name = e('#query-name').value;
+    if (!name) return Promise.resolve(null);
+
+    this.setStatus(`Saving query "${name}"`);
+    return put(this.getURL(name), {
+      type: this.type,
+      config: this.getConfig(),
+    }).then(
+      _ => {
+        this.setStatus(`Saved query "${name}"`);
+        return this.refresh();
+      },
+      err => this.setStatus(`Error saving query: ${err}`)
+    );
+  }
+
+  load() {
+    const name = e('#query-name').value;
+    if (!name) return Promise.resolve(null);
+
+    this.setStatus(`Loading query "${name}"`);
+    return stdlib.xhr(this.getURL(name), {responseType: 'json'}).then(
+      query => {
+        if (!query || query.error || query.type !== this.type) {
+          this.setStatus(`No query named "${name}"`);
+          return;
+        }
+        this.applyConfig(query.config);
+      },
+      err => this.setStatus(`Error loading query: ${err}`)
+    );
+  }
+}
+
+module.exports = SavedQueries;
@@ -0,0 +1,83 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Top-level NodeJS script for reporting release-to-release churn of a
+// browser family from object graph captures; e.g.,
+//
+//     node main/og_churn.es6.js --browser Chrome --format md --out churn.md
+//
+// Formats are md (default), csv, json and atom. Re-run after adding captures
+// to update the changelog.
+
+const path = require('path');
+const args = require('../lib/args.es6.js');
+const exporter = require('../lib/export.es6.js');
+const loggerModule = require('../lib/logger.es6.js');
+const releaseChurn = require('../lib/og/release_churn.es6.js');
+const ObjectGraphCache = require('../lib/server/og_cache.es6.js');
+const CaptureStore = require('../lib/server/og_store.es6.js');
+const writeFileAtomic = require('../lib/server/files.es6.js').writeFileAtomic;
+
+const logger = loggerModule.getLogger({script: 'og_churn'});
+
+const synopsis = 'node main/og_churn.es6.js --browser NAME ' +
+      '[--platform NAME] [--key KEY] [--format md|csv|json|atom] ' +
+      '[--data-dir DIR] [--out FILE] [--url FEED_URL]';
+const opts = args.parseArgs(process.argv.slice(2), {
+  browser: '',
+  platform: '',
+  key: 'window',
+  format: 'md',
+  'data-dir': path.resolve(__dirname, '../data'),
+  out: '',
+  url: '',
+}, synopsis);
+if (!opts.browser) args.usage('Missing --browser', synopsis);
+if (opts.format !== 'atom' && !exporter.formats[opts.format])
+  args.usage(`Unknown format: ${opts.format}`, synopsis);
+
+const ogStore = new CaptureStore({ogDir: path.join(opts['data-dir'], 'og')});
+const ogCache = new ObjectGraphCache();
+const config = {
+  browser: opts.browser,
+  platform: opts.platform,
+  key: opts.key,
+};
+
+const releases = releaseChurn.getReleases(
+  ogStore.list({revisions: true}), config
+);
+// Without --out, standard output is the report itself.
+if (opts.out) {
+  logger.info(`Comparing ${releases.length} releases: ` +
+              releases.map(entry => entry.label).join(', '));
+}
+const changes = releaseChurn.getChurn(
+  releases, entry => ogCache.get(ogStore.getPath(entry))
+);
+
+const output = opts.format === 'atom' ?
+  releaseChurn.toAtom(changes, {
+    title: `${opts.browser} API churn`,
+    url: opts.url || 'http://localhost:8000/feed/og/churn?browser=' +
+      encodeURIComponent(opts.browser),
+  }) :
+  exporter.exportChurn(changes, config, opts.format).body;
+
+if (opts.out) writeFileAtomic(opts.out, output);
+else process.stdout.write(output);
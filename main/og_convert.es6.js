@@ -0,0 +1,96 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Top-level NodeJS script for converting stored object graph captures between
+// JSON and the compact format (see lib/server/og_format.es6.js); e.g.,
+//
+//     node main/og_convert.es6.js --to compact
+//
+// converts every capture in data/og (latest and history) that is not already
+// compact. Each conversion is checked to decode to the original data before
+// the original file is removed. Converted files keep their originals'
+// modification times, so capture ids are unchanged. To serve and save
+// captures in the compact format, also pass --og-format compact to
+// main/serve.js.
+
+const fs = require('fs');
+const path = require('path');
+const stringify = require('ya-stdlib-js').stringify;
+const args = require('../lib/args.es6.js');
+const loggerModule = require('../lib/logger.es6.js');
+const CaptureStore = require('../lib/server/og_store.es6.js');
+const writeFileAtomic = require('../lib/server/files.es6.js').writeFileAtomic;
+const ogFormat = require('../lib/server/og_format.es6.js');
+
+const logger = loggerModule.getLogger({script: 'og_convert'});
+
+const synopsis = 'node main/og_convert.es6.js [--to compact|json] ' +
+      '[--data-dir DIR]';
+const opts = args.parseArgs(process.argv.slice(2), {
+  to: 'compact',
+  'data-dir': path.resolve(__dirname, '../data'),
+}, synopsis);
+if (!ogFormat.extensions.hasOwnProperty(opts.to))
+  args.usage(`Unknown capture format: ${opts.to}`, synopsis);
+
+const ogDir = path.join(opts['data-dir'], 'og');
+const ext = ogFormat.extensions[opts.to];
+const encode = opts.to === 'compact' ? ogFormat.encode : stringify;
+
+// Convert one capture file; returns [original size, converted size], or null
+// if the file is skipped.
+function convert(file) {
+  const from = `${ogDir}/${file}`;
+  const to = from.substr(0, from.length - path.extname(from).length) + ext;
+  if (from === to) return null;
+  if (fs.existsSync(to)) {
+    logger.warn(`Skipping ${file}: ${path.basename(to)} already exists`);
+    return null;
+  }
+
+  const stat = fs.statSync(from);
+  const data = ogFormat.read(from);
+  const contents = encode(data);
+  const decoded = opts.to === 'compact' ?
+    ogFormat.decode(contents) : JSON.parse(contents);
+  if (JSON.stringify(decoded) !== JSON.stringify(data))
+    throw new Error(`Conversion of ${file} does not round trip`);
+
+  writeFileAtomic(to, contents);
+  fs.utimesSync(to, stat.atime, stat.mtime);
+  fs.unlinkSync(from);
+  return [stat.size, Buffer.byteLength(contents)];
+}
+
+try {
+  const ogStore = new CaptureStore({ogDir});
+  let sizes = [0, 0];
+  let count = 0;
+  for (const file of ogStore.listFiles()) {
+    const converted = convert(file);
+    if (!converted) continue;
+    logger.info(`Converted ${file} (${converted[0]} to ${converted[1]} bytes)`);
+    sizes = [sizes[0] + converted[0], sizes[1] + converted[1]];
+    count++;
+  }
+  ogStore.refresh();
+  logger.win(`Converted ${count} captures (${sizes[0]} to ${sizes[1]} bytes)`);
+} catch (err) {
+  logger.error(err.stack || String(err));
+  process.exit(1);
+}
@@ -0,0 +1,149 @@
+/**
+ * @license
+ * Copyright 2016 Google Inc. All Rights Reserved.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+'use strict';
+
+// Top-level NodeJS script for capturing object graphs of headless JavaScript
+// environments: NodeJS's global object and a jsdom window; e.g.,
+//
+//     node main/og_headless.es6.js --env jsdom
+//
+// Each capture is saved to data/og as an environment of its own (e.g., "jsdom
+// 9.8.3 Linux 4.4.0"), so that analysis pages can compare it with browsers.
+// jsdom is captured under the key "window"; NodeJS under "global". Capture
+// settings are as on the collection page; see lib/og/capture_settings.es6.js.
+
+const os = require('os');
+const path = require('path');
+const querystring = require('querystring');
+const ObjectGraph = require('object-graph-js').ObjectGraph;
+const args = require('../lib/args.es6.js');
+const loggerModule = require('../lib/logger.es6.js');
+const captureSettings = require('../lib/og/capture_settings.es6.js');
+const functionSignatures = require('../lib/og/function_signatures.es6.js');
+const validateOG = require('../lib/og/validate.es6.js');
+const CaptureStore = require('../lib/server/og_store.es6.js');
+
+const logger = loggerModule.getLogger({script: 'og_headless'});
+
+const synopsis = 'node main/og_headless.es6.js [--env node|jsdom|all] ' +
+      '[--root PATH] [--blacklist KEYS] [--max-depth N] [--max-nodes N] ' +
+      '[--max-dequeue-size N] [--data-dir DIR] [--og-format json|compact]';
+const opts = args.parseArgs(process.argv.slice(2), {
+  env: 'all',
+  root: '',
+  blacklist: '',
+  'max-depth': '',
+  'max-nodes': '',
+  'max-dequeue-size': '',
+  'data-dir': path.resolve(__dirname, '../data'),
+  'og-format': 'json',
+}, synopsis);
+
+let settings;
+try {
+  settings = captureSettings.parse(querystring.stringify({
+    root: opts.root,
+    blacklist: opts.blacklist,
+    maxDepth: opts['max-depth'],
+    maxNodes: opts['max-nodes'],
+    maxDequeueSize: opts['max-dequeue-size'],
+  }));
+} catch (err) {
+  args.usage(err.message, synopsis);
+}
+
+// Platform names as NameRewriter reports them for browsers.
+const platformNames = {darwin: 'OSX', linux: 'Linux', win32: 'Windows'};
+const platform = {
+  name: platformNames[process.platform] || process.platform,
+  version: os.release(),
+};
+
+// Headless environments: {key, environment, userAgent, getGlobal, close}.
+const environments = {
+  node: () => ({
+    key: 'global',
+    environment: {
+      browser: {name: 'Node', version: process.versions.node},
+      platform,
+    },
+    userAgent: `Node.js/${process.versions.node}`,
+    getGlobal: () => global,
+    close: () => {},
+  }),
+  jsdom: () => {
+    const jsdom = require('jsdom');
+    const version = require('jsdom/package.json').version;
+    const window = jsdom.jsdom('<!DOCTYPE html><html><body></body></html>')
+      .defaultView;
+    return {
+      key: 'window',
+      environment: {browser: {name: 'jsdom', version}, platform},
+      userAgent: window.navigator.userAgent,
+      getGlobal: () => window,
+      close: () => window.close(),
+    };
+  },
+};
+if (opts.env !== 'all' && !environments[opts.env])
+  args.usage(`Unknown environment: ${opts.env}`, synopsis);
+
+// Capture a headless environment; resolves to JSONified ObjectGraph data.
+function capture(env) {
+  return new Promise((resolve, reject) => {
+    const root = captureSettings.getRoot(env.getGlobal(), settings);
+    const graph = new ObjectGraph({
+      maxDequeueSize: settings.maxDequeueSize,
+      onDone: () => {
+        const data = captureSettings.prune(graph.toJSON(), settings);
+        data.signatures = functionSignatures.collect(data, root);
+        resolve(Object.assign(data, {
+          environment: env.environment,
+          userAgent: env.userAgent,
+        }));
+      },
+    });
+    graph.capture(root, {key: captureSettings.getKey(env.key, settings)});
+  });
+}
+
+let ogStore;
+try {
+  ogStore = new CaptureStore({
+    ogDir: path.join(opts['data-dir'], 'og'),
+    format: opts['og-format'],
+  });
+} catch (err) {
+  args.usage(err.message, synopsis);
+}
+const names = opts.env === 'all' ? Object.keys(environments) : [opts.env];
+
+names.reduce((previous, name) => previous.then(() => {
+  const env = environments[name]();
+  logger.info(`Capturing ${name}`);
+  return capture(env).then(data => {
+    env.close();
+    const errors = validateOG(data);
+    if (errors.length > 0)
+      throw new Error(`Invalid ${name} capture:\n${errors.join('\n')}`);
+    const entry = ogStore.save(data, env.userAgent);
+    logger.win(`Saved ${entry.label} as ${entry.id}`);
+  });
+}), Promise.resolve()).catch(err => {
+  logger.error(err.stack || String(err));
+  process.exit(1);
+});
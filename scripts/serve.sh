@@ -40,7 +40,7 @@ WP_PID=$!
 win "WEBPACK STARTED (PID=${WP_PID})"
 
 warn "STARTING WEB SERVER"
-node $WD/../main/serve.js &
+node $WD/../main/serve.js "$@" &
 WS_PID=$!
 win "WEB SERVER STARTED (PID=${WS_PID})"
 